@@ -0,0 +1,169 @@
+/**
+ * Signaling Server
+ *
+ * The lobby server WebRTCClient talks to. It only introduces two browsers,
+ * once their data channel is open they stop talking to it.
+ *
+ * joinLobby { hostId, offer, candidates } - without a hostId, or with one
+ *   that has no lobby waiting, opens a lobby and answers with
+ *   lobby { hostId }. With the hostId of a waiting lobby, the joiner is sent
+ *   offer { hostId, offer, candidates } with the host's offer.
+ * answer { hostId, offer, candidates } - the joiner's answer, passed on to the
+ *   host as answer. From then on the two players are paired, and the lobby
+ *   stays until either of them disconnects.
+ * candidate { hostId, candidate } - a late ICE candidate, passed on to the
+ *   other player in the lobby.
+ * renegotiate { hostId, description } - an ICE restart offer or its answer
+ *   between paired players, passed on to the other one.
+ * lobbyExpired { hostId } - sent to a host nobody joined within lobbyTtl.
+ *
+ * Run it with npm run signaling, PORT and LOBBY_TTL (in ms) set it up.
+ */
+import { randomBytes } from "node:crypto";
+import { createServer } from "node:http";
+import { pathToFileURL } from "node:url";
+import { Server } from "socket.io";
+
+const defaultLobbyTtl = 10 * 60 * 1000;
+
+const newHostId = (lobbies) => {
+  const hostId = randomBytes(6).toString("base64url");
+  return lobbies.has(hostId) ? newHostId(lobbies) : hostId;
+};
+
+// Resolves to { port, lobbies, close } once the server is listening, port 0
+// picks a free port. lobbies maps a hostId to { host, guest, paired, offer,
+// candidates, timer }, where host and guest are sockets.
+const startSignalingServer = ({
+  port = 3000,
+  lobbyTtl = defaultLobbyTtl,
+} = {}) => {
+  const httpServer = createServer();
+  const io = new Server(httpServer, { cors: { origin: "*" } });
+  const lobbies = new Map();
+
+  const closeLobby = (hostId) => {
+    const lobby = lobbies.get(hostId);
+    if (lobby) {
+      clearTimeout(lobby.timer);
+      lobbies.delete(hostId);
+    }
+  };
+
+  const openLobby = (socket, msg) => {
+    const hostId = newHostId(lobbies);
+    const timer = setTimeout(() => {
+      closeLobby(hostId);
+      socket.emit("lobbyExpired", { hostId: hostId });
+    }, lobbyTtl);
+    lobbies.set(hostId, {
+      host: socket,
+      guest: null,
+      paired: false,
+      offer: msg.offer,
+      candidates: msg.candidates ?? [],
+      timer: timer,
+    });
+    socket.emit("lobby", { hostId: hostId });
+  };
+
+  io.on("connection", (socket) => {
+    // a payload that isn't an object is ignored, it mustn't take the server
+    // down with it
+    const on = (event, handler) =>
+      socket.on(event, (msg) => {
+        if (typeof msg === "object" && msg !== null) {
+          handler(msg);
+        }
+      });
+
+    on("joinLobby", (msg) => {
+      const lobby = lobbies.get(msg.hostId);
+      // a link to a lobby that's gone or full makes the joiner the host
+      if (!lobby || lobby.guest || lobby.host === socket) {
+        openLobby(socket, msg);
+        return;
+      }
+      lobby.guest = socket;
+      socket.emit("offer", {
+        hostId: msg.hostId,
+        offer: lobby.offer,
+        candidates: lobby.candidates,
+      });
+    });
+
+    on("answer", (msg) => {
+      const lobby = lobbies.get(msg.hostId);
+      if (!lobby || lobby.guest !== socket || lobby.paired) {
+        return;
+      }
+      lobby.host.emit("answer", {
+        hostId: msg.hostId,
+        offer: msg.offer,
+        candidates: msg.candidates ?? [],
+      });
+      // it no longer needs to expire, it goes when a player does
+      clearTimeout(lobby.timer);
+      lobby.paired = true;
+    });
+
+    // passes msg on to the other player in its lobby
+    const relay = (event, msg) => {
+      const lobby = lobbies.get(msg.hostId);
+      if (!lobby) {
+        return;
+      }
+      const other = lobby.host === socket ? lobby.guest : lobby.host;
+      if (other && [lobby.host, lobby.guest].includes(socket)) {
+        other.emit(event, msg);
+      }
+    };
+    on("candidate", (msg) => relay("candidate", msg));
+    on("renegotiate", (msg) => {
+      if (lobbies.get(msg.hostId)?.paired) {
+        relay("renegotiate", msg);
+      }
+    });
+
+    socket.on("disconnect", () => {
+      lobbies.forEach((lobby, hostId) => {
+        if (lobby.host === socket || (lobby.paired && lobby.guest === socket)) {
+          closeLobby(hostId);
+        } else if (lobby.guest === socket) {
+          // the host's offer is still good for the next joiner
+          lobby.guest = null;
+        }
+      });
+    });
+  });
+
+  const close = () =>
+    new Promise((resolve) => {
+      [...lobbies.keys()].forEach(closeLobby);
+      io.close(() => resolve());
+    });
+
+  return new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, () =>
+      resolve({
+        port: httpServer.address().port,
+        lobbies: lobbies,
+        close: close,
+      })
+    );
+  });
+};
+
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(process.argv[1]).href
+) {
+  const port = Number(process.env.PORT ?? 3000);
+  const lobbyTtl = Number(process.env.LOBBY_TTL ?? defaultLobbyTtl);
+  startSignalingServer({ port: port, lobbyTtl: lobbyTtl }).then((server) =>
+    console.log(`Signaling server listening on port ${server.port}`)
+  );
+}
+
+export { startSignalingServer };
@@ -0,0 +1,204 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { io } from "socket.io-client";
+import { startSignalingServer } from "./signaling.js";
+
+const hostOffer = { type: "offer", sdp: "host sdp" };
+const guestAnswer = { type: "answer", sdp: "guest sdp" };
+const hostCandidates = [{ candidate: "host candidate", sdpMid: "0" }];
+const guestCandidates = [{ candidate: "guest candidate", sdpMid: "0" }];
+
+const nextMessage = (socket, event) =>
+  new Promise((resolve) => socket.once(event, resolve));
+
+describe("signaling server", () => {
+  let server = null;
+  const sockets = [];
+
+  // a socket like the one WebRTCClient opens
+  const connect = () => {
+    const socket = io(`ws://localhost:${server.port}`, {
+      transports: ["websocket"],
+      forceNew: true,
+    });
+    sockets.push(socket);
+    return socket;
+  };
+
+  const hostLobby = async (host) => {
+    host.emit("joinLobby", {
+      hostId: null,
+      offer: hostOffer,
+      candidates: hostCandidates,
+    });
+    return (await nextMessage(host, "lobby")).hostId;
+  };
+
+  // pairs a host and a guest the way the handshake does
+  const pair = async () => {
+    const host = connect();
+    const guest = connect();
+    const hostId = await hostLobby(host);
+    guest.emit("joinLobby", { hostId: hostId, offer: null, candidates: [] });
+    await nextMessage(guest, "offer");
+    const answered = nextMessage(host, "answer");
+    guest.emit("answer", {
+      hostId: hostId,
+      offer: guestAnswer,
+      candidates: [],
+    });
+    await answered;
+    return { host, guest, hostId };
+  };
+
+  afterEach(async () => {
+    sockets.splice(0).forEach((socket) => socket.disconnect());
+    await server.close();
+  });
+
+  it("takes two players through a full handshake", async () => {
+    server = await startSignalingServer({ port: 0 });
+    const host = connect();
+    const guest = connect();
+
+    const hostId = await hostLobby(host);
+    expect(hostId).toEqual(expect.any(String));
+    expect(server.lobbies.has(hostId)).toBe(true);
+
+    guest.emit("joinLobby", {
+      hostId: hostId,
+      offer: { type: "offer", sdp: "guest offer" },
+      candidates: [],
+    });
+    expect(await nextMessage(guest, "offer")).toEqual({
+      hostId: hostId,
+      offer: hostOffer,
+      candidates: hostCandidates,
+    });
+
+    const answered = nextMessage(host, "answer");
+    guest.emit("answer", {
+      hostId: hostId,
+      offer: guestAnswer,
+      candidates: guestCandidates,
+    });
+    expect(await answered).toEqual({
+      hostId: hostId,
+      offer: guestAnswer,
+      candidates: guestCandidates,
+    });
+    expect(server.lobbies.get(hostId).paired).toBe(true);
+  });
+
+  it("passes ICE restarts between paired players", async () => {
+    server = await startSignalingServer({ port: 0 });
+    const { host, guest, hostId } = await pair();
+    const restart = { type: "offer", sdp: "restart sdp" };
+    const offered = nextMessage(guest, "renegotiate");
+    host.emit("renegotiate", { hostId: hostId, description: restart });
+    expect(await offered).toEqual({ hostId: hostId, description: restart });
+
+    const answered = nextMessage(host, "renegotiate");
+    guest.emit("renegotiate", { hostId: hostId, description: guestAnswer });
+    expect(await answered).toEqual({
+      hostId: hostId,
+      description: guestAnswer,
+    });
+  });
+
+  it("keeps a pairing past the lobby's expiry until a player leaves", async () => {
+    server = await startSignalingServer({ port: 0, lobbyTtl: 50 });
+    const { guest, hostId } = await pair();
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(server.lobbies.has(hostId)).toBe(true);
+
+    const left = new Promise((resolve) =>
+      server.lobbies.get(hostId).guest.once("disconnect", resolve)
+    );
+    guest.disconnect();
+    await left;
+    expect(server.lobbies.has(hostId)).toBe(false);
+  });
+
+  it("passes late candidates to the other player", async () => {
+    server = await startSignalingServer({ port: 0 });
+    const host = connect();
+    const guest = connect();
+    const hostId = await hostLobby(host);
+    guest.emit("joinLobby", { hostId: hostId, offer: null, candidates: [] });
+    await nextMessage(guest, "offer");
+
+    const relayed = nextMessage(host, "candidate");
+    guest.emit("candidate", { hostId: hostId, candidate: guestCandidates[0] });
+    expect(await relayed).toEqual({
+      hostId: hostId,
+      candidate: guestCandidates[0],
+    });
+  });
+
+  it("opens a new lobby for a link to one that's gone", async () => {
+    server = await startSignalingServer({ port: 0 });
+    const guest = connect();
+    guest.emit("joinLobby", {
+      hostId: "missing",
+      offer: hostOffer,
+      candidates: [],
+    });
+    const { hostId } = await nextMessage(guest, "lobby");
+    expect(hostId).not.toBe("missing");
+    expect(server.lobbies.get(hostId).offer).toEqual(hostOffer);
+  });
+
+  it("opens a new lobby when the lobby already has a guest", async () => {
+    server = await startSignalingServer({ port: 0 });
+    const host = connect();
+    const guest = connect();
+    const late = connect();
+    const hostId = await hostLobby(host);
+    guest.emit("joinLobby", { hostId: hostId, offer: null, candidates: [] });
+    await nextMessage(guest, "offer");
+
+    late.emit("joinLobby", { hostId: hostId, offer: null, candidates: [] });
+    expect((await nextMessage(late, "lobby")).hostId).not.toBe(hostId);
+  });
+
+  it("expires lobbies nobody joined", async () => {
+    server = await startSignalingServer({ port: 0, lobbyTtl: 50 });
+    const host = connect();
+    const hostId = await hostLobby(host);
+    expect(await nextMessage(host, "lobbyExpired")).toEqual({
+      hostId: hostId,
+    });
+    expect(server.lobbies.has(hostId)).toBe(false);
+
+    const guest = connect();
+    guest.emit("joinLobby", { hostId: hostId, offer: null, candidates: [] });
+    expect((await nextMessage(guest, "lobby")).hostId).not.toBe(hostId);
+  });
+
+  it("ignores payloads that aren't objects", async () => {
+    server = await startSignalingServer({ port: 0 });
+    const { host, guest, hostId } = await pair();
+    ["joinLobby", "answer", "candidate", "renegotiate"].forEach((event) => {
+      guest.emit(event, null);
+      guest.emit(event, "hello");
+    });
+    const relayed = nextMessage(host, "candidate");
+    guest.emit("candidate", { hostId: hostId, candidate: guestCandidates[0] });
+    expect(await relayed).toEqual({
+      hostId: hostId,
+      candidate: guestCandidates[0],
+    });
+  });
+
+  it("closes the lobby when its host leaves", async () => {
+    server = await startSignalingServer({ port: 0 });
+    const host = connect();
+    const hostId = await hostLobby(host);
+    const left = new Promise((resolve) =>
+      server.lobbies.get(hostId).host.once("disconnect", resolve)
+    );
+    host.disconnect();
+    await left;
+    expect(server.lobbies.has(hostId)).toBe(false);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * AI
+ *
+ * Picks both moves for the active player the same way a person has to: the
+ * opponent's move for this turn is already committed but hidden, and the
+ * opponent's move for next turn hasn't been chosen yet. Every pair of our
+ * moves is scored over both unknown moves, either by their average
+ * (expectimax) or by the worst case (minimax).
+ */
+import { Command } from "./game.js";
+import { playerRules } from "./ruleset.js";
+
+const difficulties = {
+  // any legal moves
+  easy: { depth: 0 },
+  // only thinks about this turn, the second move is random
+  normal: { depth: 1, aggregate: "mean" },
+  // both turns, assuming the opponent picks at random
+  hard: { depth: 2, aggregate: "mean" },
+  // both turns, assuming the opponent picks the best reply
+  expert: { depth: 2, aggregate: "min" },
+};
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+const aggregators = {
+  mean: mean,
+  // ties on the worst case are broken by the average
+  min: (values) => Math.min(...values) + mean(values) * 0.001,
+};
+
+// from playerIndex's point of view, bigger is better
+const evaluate = (state, playerIndex, turnsPlayed) => {
+  const player = state.players[playerIndex];
+  const opponent = state.players[(playerIndex + 1) % 2];
+  const outcome = state.outcome(turnsPlayed);
+  if (outcome) {
+    if (outcome.winner === null) {
+      return 0;
+    }
+    return outcome.winner === playerIndex ? 1000 : -1000;
+  }
+  // ground gained only matters as a tie-breaker at the turn limit
+  const ground = (p, i) =>
+    i === 0 ? p.position : state.arenaSize - 1 - p.position;
+  return (
+    (player.health - opponent.health) * 10 +
+    (ground(player, playerIndex) - ground(opponent, (playerIndex + 1) % 2)) *
+      0.1
+  );
+};
+
+const resolve = (state, playerIndex, ours, theirs) => {
+  const next = state.clone();
+  const commands = [];
+  commands[playerIndex] = new Command(playerIndex, ours);
+  commands[(playerIndex + 1) % 2] = new Command((playerIndex + 1) % 2, theirs);
+  next.apply(commands);
+  return next;
+};
+
+const moveNames = (game, playerIndex) =>
+  playerRules(game.ruleset, playerIndex).moves.map((m) => m.name);
+
+// the opponent's committed move is only public for the opening turn
+const hiddenMoves = (game, playerIndex) => {
+  if (!game.history.length) {
+    return [game.ruleset.openingMove];
+  }
+  return moveNames(game, (playerIndex + 1) % 2);
+};
+
+const scoreMoves = (game, playerIndex, first, second, settings) => {
+  const replies = moveNames(game, (playerIndex + 1) % 2);
+  const aggregate = aggregators[settings.aggregate];
+  const turnsPlayed = game.history.length;
+  return aggregate(
+    hiddenMoves(game, playerIndex).map((hidden) => {
+      const afterFirst = resolve(game.state, playerIndex, first, hidden);
+      if (settings.depth < 2 || afterFirst.outcome(turnsPlayed + 1)) {
+        return evaluate(afterFirst, playerIndex, turnsPlayed + 1);
+      }
+      return aggregate(
+        replies.map((reply) =>
+          evaluate(
+            resolve(afterFirst, playerIndex, second, reply),
+            playerIndex,
+            turnsPlayed + 2
+          )
+        )
+      );
+    })
+  );
+};
+
+// Returns [first, second] Commands for the game's active player.
+// random is only used to pick between equally good options.
+const chooseMoves = (game, difficulty = "hard", random = Math.random) => {
+  const settings = difficulties[difficulty];
+  if (!settings) {
+    throw new Error(`Unknown difficulty ${difficulty}`);
+  }
+  const playerIndex = game.activePlayer();
+  const moves = moveNames(game, playerIndex);
+  const pick = (options) => options[Math.floor(random() * options.length)];
+  // only moves there is stamina for, and a move that costs none always is
+  const affordable = (...played) => game.state.canAfford(playerIndex, played);
+  const firsts = moves.filter((first) => affordable(first));
+  const secondsAfter = (first) =>
+    moves.filter((second) => affordable(first, second));
+
+  let candidates = [];
+  if (settings.depth === 0) {
+    const first = pick(firsts);
+    candidates.push([first, pick(secondsAfter(first))]);
+  } else {
+    let best = -Infinity;
+    firsts.forEach((first) => {
+      // a depth 1 search can't tell second moves apart, so only score one
+      const affordableSeconds = secondsAfter(first);
+      const seconds =
+        settings.depth < 2 ? [pick(affordableSeconds)] : affordableSeconds;
+      seconds.forEach((second) => {
+        const score = scoreMoves(game, playerIndex, first, second, settings);
+        if (score > best + 1e-9) {
+          best = score;
+          candidates = [[first, second]];
+        } else if (Math.abs(score - best) <= 1e-9) {
+          candidates.push([first, second]);
+        }
+      });
+    });
+  }
+  const [first, second] = pick(candidates);
+  return [new Command(playerIndex, first), new Command(playerIndex, second)];
+};
+
+// Whether a bot playing playerIndex has to pick moves now. Anything that
+// changes the match can leave it to move: a new turn, round or match, and
+// stepping back or forward through history.
+const isBotsMove = (match, playerIndex) =>
+  !match.roundOutcome && match.game.activePlayer() === playerIndex;
+
+export { chooseMoves, difficulties, evaluate, isBotsMove };
@@ -0,0 +1,109 @@
+import { describe, expect, it } from "vitest";
+import { chooseMoves, difficulties, evaluate, isBotsMove } from "./ai.js";
+import { Command, Game } from "./game.js";
+import { Match } from "./match.js";
+import { parseRuleset } from "./ruleset.js";
+
+const first = () => 0;
+
+// both players on 1 health, two tiles apart with the left player to move
+const showdown = () => {
+  const game = new Game();
+  game.applyMoves(new Command(0, "Advance"), new Command(0, "Hold"));
+  game.state.setPlayerStates([
+    { health: 1, position: 2, stance: "high" },
+    { health: 1, position: 4, stance: "high" },
+  ]);
+  game.nextCommands = [null, new Command(1, "Hold")];
+  return game;
+};
+
+describe("chooseMoves", () => {
+  it("returns two legal commands for the active player", () => {
+    const game = new Game();
+    const names = game.ruleset.moves.map((m) => m.name);
+    Object.keys(difficulties).forEach((difficulty) => {
+      const moves = chooseMoves(game, difficulty);
+      expect(moves.length).toBe(2);
+      moves.forEach((m) => {
+        expect(m).toBeInstanceOf(Command);
+        expect(m.playerIndex).toBe(0);
+        expect(names).toContain(m.move);
+      });
+    });
+  });
+
+  it("plays for whoever is active", () => {
+    const game = new Game();
+    game.applyMoves(...chooseMoves(game, "hard"));
+    chooseMoves(game, "hard").forEach((m) => expect(m.playerIndex).toBe(1));
+  });
+
+  it("does not look at the opponent's committed move", () => {
+    const game = showdown();
+    const chosen = chooseMoves(game, "expert", first);
+    game.nextCommands[1] = new Command(1, "Parry");
+    expect(chooseMoves(game, "expert", first)).toEqual(chosen);
+  });
+
+  it("goes for the win when the opponent is likely in range", () => {
+    const game = showdown();
+    expect(chooseMoves(game, "hard", first)[0].move).toBe("SwitchAttack");
+  });
+
+  it("only picks moves there is stamina for", () => {
+    const game = new Game(parseRuleset({ maxStamina: 2 }));
+    game.state.players[0].stamina = 0;
+    Object.keys(difficulties).forEach((difficulty) => {
+      const moves = chooseMoves(game, difficulty).map((m) => m.move);
+      expect(game.state.canAfford(0, moves)).toBe(true);
+    });
+  });
+
+  it("rejects unknown difficulties", () => {
+    expect(() => chooseMoves(new Game(), "impossible")).toThrow();
+  });
+});
+
+describe("isBotsMove", () => {
+  it("hands the turn back to the bot when its turn is undone", () => {
+    const match = new Match();
+    const bot = 1;
+    match.applyMoves(new Command(0, "Advance"), new Command(0, "Hold"));
+    expect(isBotsMove(match, bot)).toBe(true);
+    match.applyMoves(...chooseMoves(match.game, "easy"));
+    expect(isBotsMove(match, bot)).toBe(false);
+
+    match.undo();
+    expect(isBotsMove(match, bot)).toBe(true);
+    const moves = chooseMoves(match.game, "easy");
+    moves.forEach((m) => expect(m.playerIndex).toBe(bot));
+    expect(match.applyMoves(...moves)).toBe(true);
+    expect(match.game.history.length).toBe(2);
+  });
+
+  it("leaves a finished round alone", () => {
+    const match = new Match();
+    match.applyMoves(new Command(0, "Advance"), new Command(0, "Hold"));
+    match.roundOutcome = { result: "draw", reason: "turnLimit", winner: null };
+    expect(isBotsMove(match, 1)).toBe(false);
+  });
+});
+
+describe("evaluate", () => {
+  it("prefers being ahead on health", () => {
+    const game = showdown();
+    // level on health, only ground gained counts
+    expect(Math.abs(evaluate(game.state, 0, 1))).toBeLessThan(1);
+    game.getPlayer(1).health = 2;
+    expect(evaluate(game.state, 0, 1)).toBeLessThan(0);
+    expect(evaluate(game.state, 1, 1)).toBeGreaterThan(0);
+  });
+
+  it("scores a decided game above everything else", () => {
+    const game = showdown();
+    game.getPlayer(1).health = 0;
+    expect(evaluate(game.state, 0, 1)).toBe(1000);
+    expect(evaluate(game.state, 1, 1)).toBe(-1000);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Analysis
+ *
+ * A payoff matrix for the move the active player is about to commit: every
+ * candidate move played against every reply the opponent could have
+ * committed, each resolved on a clone of the game state. Nothing here
+ * changes the game being analysed.
+ *
+ * Each cell has
+ * players - the player states after the turn, as from getPlayerStates
+ * damage - { dealt, taken } health points lost by the opponent and by us
+ * events - what happened during the turn
+ * outcome - the game's outcome if the turn ended it, otherwise null
+ * payoff - evaluate's score for us after the turn, bigger is better
+ */
+import { evaluate } from "./ai.js";
+import { Command } from "./game.js";
+import { playerRules } from "./ruleset.js";
+
+const simulate = (game, playerIndex, move, reply) => {
+  const opponent = (playerIndex + 1) % 2;
+  const state = game.state.clone();
+  const commands = [];
+  commands[playerIndex] = new Command(playerIndex, move);
+  commands[opponent] = new Command(opponent, reply);
+  const { before, after, events } = state.apply(commands);
+  const turnsPlayed = game.history.length + 1;
+  return {
+    players: after,
+    damage: {
+      dealt: before[opponent].health - after[opponent].health,
+      taken: before[playerIndex].health - after[playerIndex].health,
+    },
+    events: events,
+    outcome: state.outcome(turnsPlayed),
+    payoff: evaluate(state, playerIndex, turnsPlayed),
+  };
+};
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+// Returns { playerIndex, moves, replies, knownReply, rows }, where rows has a
+// { move, cells, worst, average } per candidate in moves, and cells follow
+// replies. The players' move sets differ when their fighters do.
+// knownReply is the opponent's move when it isn't hidden, like the opening.
+const payoffMatrix = (game, playerIndex = game.activePlayer()) => {
+  const opponent = (playerIndex + 1) % 2;
+  const names = (i) => playerRules(game.ruleset, i).moves.map((m) => m.name);
+  const moves = names(playerIndex);
+  const replies = names(opponent);
+  const committed = game.nextCommands[opponent];
+  const knownReply =
+    committed && typeof committed.move === "string" ? committed.move : null;
+  const rows = moves.map((move) => {
+    const cells = replies.map((reply) =>
+      simulate(game, playerIndex, move, reply)
+    );
+    // only the known reply can happen, if we know it
+    const possible = knownReply ? [cells[replies.indexOf(knownReply)]] : cells;
+    const payoffs = possible.map((c) => c.payoff);
+    return {
+      move: move,
+      cells: cells,
+      worst: Math.min(...payoffs),
+      average: mean(payoffs),
+    };
+  });
+  return {
+    playerIndex: playerIndex,
+    moves: moves,
+    replies: replies,
+    knownReply: knownReply,
+    rows: rows,
+  };
+};
+
+export { payoffMatrix };
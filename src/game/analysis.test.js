@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import { payoffMatrix } from "./analysis.js";
+import { Command, Game } from "./game.js";
+
+// both players on 2 health, two tiles apart with the left player to move
+const standoff = (reply = { playerIndex: 1, hash: "ab" }) => {
+  const game = new Game();
+  game.applyMoves(new Command(0, "Hold"), new Command(0, "Hold"));
+  game.applyMoves(new Command(1, "Hold"), reply);
+  game.state.setPlayerStates([
+    { health: 2, position: 2, stance: "high" },
+    { health: 2, position: 4, stance: "high" },
+  ]);
+  return game;
+};
+
+const cell = (matrix, move, reply) =>
+  matrix.rows[matrix.moves.indexOf(move)].cells[matrix.moves.indexOf(reply)];
+
+describe("payoffMatrix", () => {
+  it("has a cell for every move against every reply", () => {
+    const game = new Game();
+    const matrix = payoffMatrix(game);
+    const size = game.ruleset.moves.length;
+    expect(matrix.playerIndex).toBe(0);
+    expect(matrix.rows.length).toBe(size);
+    matrix.rows.forEach((row) => expect(row.cells.length).toBe(size));
+  });
+
+  it("shows damage, positions and stances after the turn", () => {
+    const matrix = payoffMatrix(standoff());
+    const hit = cell(matrix, "SwitchAttack", "Hold");
+    expect(hit.damage).toEqual({ dealt: 1, taken: 0 });
+    expect(hit.players[0]).toEqual({ health: 2, position: 2, stance: "low" });
+    expect(hit.players[1].health).toBe(1);
+    expect(hit.events.map((e) => e.type)).toContain("hit");
+    expect(hit.payoff).toBeGreaterThan(0);
+
+    const trade = cell(matrix, "SwitchAttack", "SwitchAttack");
+    expect(trade.damage).toEqual({ dealt: 1, taken: 1 });
+    expect(cell(matrix, "Hold", "SwitchAttack").payoff).toBeLessThan(0);
+  });
+
+  it("reports outcomes", () => {
+    const game = standoff();
+    game.state.players[1].health = 1;
+    const matrix = payoffMatrix(game);
+    expect(cell(matrix, "SwitchAttack", "Hold").outcome).toEqual({
+      result: "win",
+      reason: "knockout",
+      winner: 0,
+    });
+    expect(cell(matrix, "Hold", "Hold").outcome).toBe(null);
+  });
+
+  it("only counts the reply when it is known", () => {
+    const hidden = payoffMatrix(standoff());
+    expect(hidden.knownReply).toBe(null);
+    const attack = hidden.rows[hidden.moves.indexOf("SwitchAttack")];
+    expect(attack.worst).toBe(Math.min(...attack.cells.map((c) => c.payoff)));
+
+    const known = payoffMatrix(standoff(new Command(1, "Hold")));
+    expect(known.knownReply).toBe("Hold");
+    const row = known.rows[known.moves.indexOf("SwitchAttack")];
+    expect(row.worst).toBe(cell(known, "SwitchAttack", "Hold").payoff);
+    expect(row.average).toBe(row.worst);
+  });
+
+  it("leaves the game alone", () => {
+    const game = standoff();
+    const before = game.state.getPlayerStates();
+    payoffMatrix(game);
+    expect(game.state.getPlayerStates()).toEqual(before);
+    expect(game.history.length).toBe(2);
+  });
+});
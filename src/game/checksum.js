@@ -0,0 +1,76 @@
+/**
+ * State Checksums
+ *
+ * Each machine in an online game runs its own copy of the match and applies
+ * the server's events to it. To notice when the copies drift apart the
+ * server sends a checksum of its player states with every turn: the turn it
+ * belongs to and a hash of GameState.getPlayerStates(). A client that gets
+ * a different hash for the same turn has desynced.
+ *
+ * The hash is FNV-1a, so it can be checked while handling the event rather
+ * than waiting on Web Crypto. It only has to catch honest mistakes, moves
+ * are kept honest by commitments (see commitment.js).
+ */
+
+// the same states always give the same text, whatever order keys were set in
+const canonical = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonical).join(",")}]`;
+  }
+  if (typeof value === "object" && value !== null) {
+    const fields = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`);
+    return `{${fields.join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+};
+
+const hashPlayerStates = (states) => fnv1a(canonical(states));
+
+// { turn, hash } for game as it stands
+const stateChecksum = (game) => ({
+  turn: game.history.length,
+  hash: hashPlayerStates(game.state.getPlayerStates()),
+});
+
+// the player states right after turn was played, or null when game doesn't
+// have that turn in its history
+const playerStatesAfter = (game, turn) => {
+  if (turn < 0 || turn > game.history.length) {
+    return null;
+  }
+  if (turn === game.history.length) {
+    return game.state.getPlayerStates();
+  }
+  // the next turn started from them
+  return game.history[turn][1].before;
+};
+
+// Returns { playerIndex, field, local, remote } for every field the two
+// lists of player states disagree on.
+const diffPlayerStates = (local, remote) =>
+  [0, 1].flatMap((playerIndex) => {
+    const ours = local[playerIndex] ?? {};
+    const theirs = remote[playerIndex] ?? {};
+    const fields = [...new Set([...Object.keys(ours), ...Object.keys(theirs)])];
+    return fields
+      .filter((field) => canonical(ours[field]) !== canonical(theirs[field]))
+      .map((field) => ({
+        playerIndex: playerIndex,
+        field: field,
+        local: ours[field],
+        remote: theirs[field],
+      }));
+  });
+
+export { hashPlayerStates, stateChecksum, playerStatesAfter, diffPlayerStates };
@@ -0,0 +1,75 @@
+import { describe, expect, it } from "vitest";
+import { Command, Game } from "./game.js";
+import {
+  diffPlayerStates,
+  hashPlayerStates,
+  playerStatesAfter,
+  stateChecksum,
+} from "./checksum.js";
+
+const playTurn = (game, first, second) =>
+  game.applyMoves(
+    new Command(game.activePlayer(), first),
+    new Command(game.activePlayer(), second)
+  );
+
+describe("state checksums", () => {
+  it("agree for games that played the same turns", () => {
+    const a = new Game();
+    const b = new Game();
+    [a, b].forEach((game) => {
+      playTurn(game, "Advance", "Hold");
+      playTurn(game, "Hold", "Advance");
+    });
+    expect(stateChecksum(a)).toEqual(stateChecksum(b));
+    expect(stateChecksum(a).turn).toBe(2);
+    expect(stateChecksum(a).hash).toMatch(/^[0-9a-f]{8}$/);
+  });
+
+  it("don't depend on the order fields were set in", () => {
+    const state = { health: 3, position: 1, stance: "high" };
+    const shuffled = { stance: "high", position: 1, health: 3 };
+    expect(hashPlayerStates([state, state])).toBe(
+      hashPlayerStates([shuffled, shuffled])
+    );
+  });
+
+  it("change with any field of either player", () => {
+    const game = new Game();
+    const before = stateChecksum(game).hash;
+    game.state.players[1].position -= 1;
+    expect(stateChecksum(game).hash).not.toBe(before);
+  });
+});
+
+describe("playerStatesAfter", () => {
+  it("finds the states after any turn in the history", () => {
+    const game = new Game();
+    const opening = game.state.getPlayerStates();
+    playTurn(game, "Advance", "Hold");
+    const afterFirst = game.state.getPlayerStates();
+    playTurn(game, "Hold", "Advance");
+    expect(playerStatesAfter(game, 0)).toEqual(opening);
+    expect(playerStatesAfter(game, 1)).toEqual(afterFirst);
+    expect(playerStatesAfter(game, 2)).toEqual(game.state.getPlayerStates());
+    expect(playerStatesAfter(game, 3)).toBe(null);
+  });
+});
+
+describe("diffPlayerStates", () => {
+  it("lists each field that differs", () => {
+    const local = [
+      { health: 3, position: 1, stance: "high" },
+      { health: 2, position: 4, stance: "low" },
+    ];
+    const remote = [
+      { health: 3, position: 2, stance: "high" },
+      { health: 2, position: 4, stance: "low", stamina: 1 },
+    ];
+    expect(diffPlayerStates(local, remote)).toEqual([
+      { playerIndex: 0, field: "position", local: 1, remote: 2 },
+      { playerIndex: 1, field: "stamina", local: undefined, remote: 1 },
+    ]);
+    expect(diffPlayerStates(local, local)).toEqual([]);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Move Commitments
+ *
+ * A player's second move stays secret until the turn it resolves on. Instead
+ * of the move they send a commitment: a SHA-256 hash of the move and a random
+ * salt. When the move is needed they reveal the move and salt, and anyone can
+ * check it hashes to what was committed, so the move can't be changed after
+ * seeing the opponent's choice and can't be read before.
+ *
+ * Salts come from crypto.getRandomValues, which browsers and Node both
+ * provide. Hashing is done here rather than with crypto.subtle, which
+ * browsers only have on https or localhost, and players on a LAN open the
+ * game over plain http.
+ */
+
+const toHex = (bytes) =>
+  Array.from(new Uint8Array(bytes))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+
+// the first 32 bits of the fractional parts of the cube roots of the first
+// 64 primes
+const roundConstants = Uint32Array.from([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1,
+  0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+  0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+  0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147,
+  0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+  0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b,
+  0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+  0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+  0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+// SHA-256 of bytes, as FIPS 180-4 describes it
+const sha256 = (bytes) => {
+  // padded with a 1 bit, zeros and the length in bits to whole 64 byte blocks
+  const length = Math.ceil((bytes.length + 9) / 64) * 64;
+  const padded = new Uint8Array(length);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(length - 8, Math.floor(bytes.length / 0x20000000));
+  view.setUint32(length - 4, bytes.length * 8);
+
+  const hash = Uint32Array.from([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c,
+    0x1f83d9ab, 0x5be0cd19,
+  ]);
+  const w = new Uint32Array(64);
+  for (let block = 0; block < length; block += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(block + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const choice = (e & f) ^ (~e & g);
+      const t1 = (h + s1 + choice + roundConstants[i] + w[i]) | 0;
+      const s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const majority = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (s0 + majority) | 0;
+      [h, g, f, e, d, c, b, a] = [
+        g,
+        f,
+        e,
+        (d + t1) | 0,
+        c,
+        b,
+        a,
+        (t1 + t2) | 0,
+      ];
+    }
+    [a, b, c, d, e, f, g, h].forEach((v, i) => (hash[i] += v));
+  }
+  const digest = new DataView(new ArrayBuffer(32));
+  hash.forEach((v, i) => digest.setUint32(i * 4, v));
+  return digest.buffer;
+};
+
+const hashReveal = async ({ playerIndex, move, salt }) => {
+  const text = `${salt}:${playerIndex}:${move}`;
+  return toHex(sha256(new TextEncoder().encode(text)));
+};
+
+// Returns the public commitment and the private reveal that opens it.
+const createCommitment = async ({ playerIndex, move }) => {
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  const reveal = { playerIndex: playerIndex, move: move, salt: salt };
+  const commitment = {
+    playerIndex: playerIndex,
+    hash: await hashReveal(reveal),
+  };
+  return { commitment: commitment, reveal: reveal };
+};
+
+const verifyReveal = async (commitment, reveal) => {
+  if (commitment.playerIndex !== reveal.playerIndex) {
+    return false;
+  }
+  return (await hashReveal(reveal)) === commitment.hash;
+};
+
+// commitments stand in for commands, but have no move
+const isCommitment = (command) =>
+  typeof command === "object" &&
+  command !== null &&
+  typeof command.hash === "string" &&
+  command.move === undefined;
+
+export { createCommitment, verifyReveal, isCommitment };
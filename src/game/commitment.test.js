@@ -0,0 +1,69 @@
+import { describe, expect, it, vi } from "vitest";
+import { Command } from "./game.js";
+import { createCommitment, isCommitment, verifyReveal } from "./commitment.js";
+
+describe("commitments", () => {
+  it("hide the move", async () => {
+    const { commitment } = await createCommitment(new Command(1, "Charge"));
+    expect(commitment.playerIndex).toBe(1);
+    expect(commitment.hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(JSON.stringify(commitment)).not.toContain("Charge");
+    expect(isCommitment(commitment)).toBe(true);
+    expect(isCommitment(new Command(1, "Charge"))).toBe(false);
+  });
+
+  it("are salted so equal moves don't share a hash", async () => {
+    const a = await createCommitment(new Command(0, "Hold"));
+    const b = await createCommitment(new Command(0, "Hold"));
+    expect(a.commitment.hash).not.toBe(b.commitment.hash);
+  });
+
+  it("verify the matching reveal", async () => {
+    const { commitment, reveal } = await createCommitment(
+      new Command(0, "Parry")
+    );
+    expect(await verifyReveal(commitment, reveal)).toBe(true);
+  });
+
+  it("reject a changed move, salt or player", async () => {
+    const { commitment, reveal } = await createCommitment(
+      new Command(0, "Parry")
+    );
+    expect(await verifyReveal(commitment, { ...reveal, move: "Block" })).toBe(
+      false
+    );
+    expect(await verifyReveal(commitment, { ...reveal, salt: "00" })).toBe(
+      false
+    );
+    expect(await verifyReveal(commitment, { ...reveal, playerIndex: 1 })).toBe(
+      false
+    );
+  });
+
+  it("hash the same as Web Crypto's SHA-256", async () => {
+    const { commitment, reveal } = await createCommitment(
+      new Command(1, "Feint")
+    );
+    const text = `${reveal.salt}:1:Feint`;
+    const digest = await crypto.subtle.digest(
+      "SHA-256",
+      new TextEncoder().encode(text)
+    );
+    const hex = Array.from(new Uint8Array(digest))
+      .map((b) => b.toString(16).padStart(2, "0"))
+      .join("");
+    expect(commitment.hash).toBe(hex);
+  });
+
+  it("don't need Web Crypto's digest", async () => {
+    const subtle = vi.spyOn(crypto, "subtle", "get").mockReturnValue(undefined);
+    try {
+      const { commitment, reveal } = await createCommitment(
+        new Command(0, "Hold")
+      );
+      expect(await verifyReveal(commitment, reveal)).toBe(true);
+    } finally {
+      subtle.mockRestore();
+    }
+  });
+});
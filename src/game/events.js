@@ -0,0 +1,88 @@
+/**
+ * Turn Events
+ *
+ * GameState.apply records what happened during a turn as an ordered list
+ * of events. Every event has a type, the playerIndex it is about and that
+ * player's position when it happened.
+ *
+ * clampedAtEdge - { intended, to } the move was cut short by the arena edge
+ * movementBlockedByCollision - { intended, to } stopped next to the opponent
+ * clash - { tile, won } both players stepped into each other, tile is null
+ *   when they met between two tiles
+ * pushedBack - { to } lost a clash and was pushed away from the opponent
+ * moved - { to } where the player ended up, after any collision
+ * slid - { to } carried on past where they moved by a slippery tile
+ * ringOut - playerIndex left the arena, position is past its edge
+ * attackMissed - { targetIndex, targetPosition, stance, distance, range }
+ * blocked - same fields as attackMissed, the target blocked the attack
+ * parried - same fields as attackMissed, the target reflected the attack
+ * hit - { attackerIndex, attackerPosition } playerIndex takes a point of damage
+ * hazard - { damage } playerIndex ended the turn on a hazard tile
+ * stanceChanged - { from, to }
+ * exhausted - { move } playerIndex had too little stamina, so did nothing
+ * died - playerIndex ran out of health
+ */
+
+const defaultNames = ["Left", "Right"];
+
+const describeEvent = (event, names = defaultNames) => {
+  const name = names[event.playerIndex];
+  const target = names[event.targetIndex];
+  switch (event.type) {
+    case "clampedAtEdge":
+      return `${name} is stopped by the edge`;
+    case "moved":
+      return `${name} moves to ${event.to}`;
+    case "movementBlockedByCollision":
+      return `${name} is blocked moving to ${event.intended}`;
+    case "clash":
+      if (event.won) {
+        return `${name} wins the clash`;
+      }
+      return `${name} clashes`;
+    case "pushedBack":
+      return `${name} is pushed back to ${event.to}`;
+    case "slid":
+      return `${name} slides to ${event.to}`;
+    case "ringOut":
+      return `${name} is out of the ring`;
+    case "attackMissed":
+      return `${name} attacks ${event.stance} and misses`;
+    case "blocked":
+      return `${target} blocks ${name}'s ${event.stance} attack`;
+    case "parried":
+      return `${target} parries ${name}'s ${event.stance} attack`;
+    case "hit":
+      return `${name} is hit`;
+    case "hazard":
+      return `${name} is hurt by the floor`;
+    case "stanceChanged":
+      return `${name} switches to ${event.to}`;
+    case "exhausted":
+      return `${name} is too tired to ${event.move}`;
+    case "died":
+      return `${name} falls`;
+    default:
+      return event.type;
+  }
+};
+
+const outcomeReasons = {
+  knockout: "by knockout",
+  ringOut: "by ring out",
+  doubleKnockout: "double knockout",
+  health: "on health",
+  position: "on ground gained",
+  turnLimit: "turn limit reached",
+};
+
+// text for Game.outcome()
+const describeOutcome = (outcome, names = defaultNames) => {
+  const reason = outcomeReasons[outcome.reason] ?? outcome.reason;
+  if (outcome.winner === null) {
+    return `Draw, ${reason}`;
+  }
+  return `${names[outcome.winner]} wins ${reason}`;
+};
+
+export { describeEvent, describeOutcome };
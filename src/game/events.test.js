@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import { describeEvent, describeOutcome } from "./events.js";
+
+describe("describeEvent", () => {
+  it("names the players involved", () => {
+    expect(describeEvent({ type: "hit", playerIndex: 1 })).toBe("Right is hit");
+    expect(
+      describeEvent({
+        type: "blocked",
+        playerIndex: 0,
+        targetIndex: 1,
+        stance: "low",
+      })
+    ).toBe("Right blocks Left's low attack");
+  });
+
+  it("accepts custom names", () => {
+    expect(
+      describeEvent({ type: "moved", playerIndex: 0, to: 3 }, ["Ronin", "Bot"])
+    ).toBe("Ronin moves to 3");
+  });
+
+  it("explains clashes", () => {
+    expect(describeEvent({ type: "clash", playerIndex: 0, won: true })).toBe(
+      "Left wins the clash"
+    );
+    expect(describeEvent({ type: "pushedBack", playerIndex: 1, to: 5 })).toBe(
+      "Right is pushed back to 5"
+    );
+  });
+
+  it("explains what the arena does", () => {
+    expect(describeEvent({ type: "slid", playerIndex: 0, to: 4 })).toBe(
+      "Left slides to 4"
+    );
+    expect(describeEvent({ type: "ringOut", playerIndex: 1 })).toBe(
+      "Right is out of the ring"
+    );
+  });
+});
+
+describe("describeOutcome", () => {
+  it("names the winner and the reason", () => {
+    expect(
+      describeOutcome({ result: "win", reason: "knockout", winner: 1 })
+    ).toBe("Right wins by knockout");
+    expect(
+      describeOutcome({
+        result: "draw",
+        reason: "doubleKnockout",
+        winner: null,
+      })
+    ).toBe("Draw, double knockout");
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Fighters
+ *
+ * The archetypes players choose from before a match. Each one changes the
+ * ruleset for the player using it:
+ * name - the id sent over the wire
+ * label - the text shown on the character select button
+ * model - the model getModel draws the fighter with
+ * texture - a matcap texture for the model, null keeps its own colours
+ * health, stance, attackRanges - replace the ruleset's when given
+ * addMoves - moves added, or replacing the ruleset's move of the same name
+ * removeMoves - names of ruleset moves the fighter can't use
+ */
+import { parseRuleset } from "./ruleset.js";
+
+const fighters = {
+  samurai: {
+    name: "samurai",
+    label: "Samurai",
+    model: "samurai",
+    texture: null,
+  },
+  // outreaches everyone, but a spear is too long to parry with
+  spearman: {
+    name: "spearman",
+    label: "Spearman",
+    model: "samurai",
+    texture: "matcap01",
+    attackRanges: { high: 3, low: 2 },
+    removeMoves: ["Parry"],
+  },
+  // takes an extra hit, but closes distance slowly
+  ronin: {
+    name: "ronin",
+    label: "Ronin",
+    model: "samurai",
+    texture: "matcap02",
+    health: 3,
+    addMoves: [{ name: "Charge", label: "Charge", offset: 1, cost: 2 }],
+  },
+  // can cross most of the arena in a single move
+  duelist: {
+    name: "duelist",
+    label: "Duelist",
+    model: "samurai",
+    texture: "matcap03",
+    addMoves: [{ name: "Dash", label: "Dash", offset: 3, cost: 3 }],
+  },
+};
+
+const fighterNames = Object.keys(fighters);
+
+const resolveFighter = (ruleset, name) => {
+  const fighter = fighters[name];
+  if (!fighter) {
+    throw new Error(`Unknown fighter ${name}`);
+  }
+  const addMoves = fighter.addMoves ?? [];
+  const removeMoves = fighter.removeMoves ?? [];
+  const moves = ruleset.moves
+    .filter((m) => !removeMoves.includes(m.name))
+    .map((m) => addMoves.find((a) => a.name === m.name) ?? m);
+  addMoves
+    .filter((a) => !moves.some((m) => m.name === a.name))
+    .forEach((a) => moves.push(a));
+  return {
+    name: fighter.name,
+    label: fighter.label,
+    model: fighter.model,
+    texture: fighter.texture,
+    health: fighter.health ?? ruleset.health,
+    stance: fighter.stance ?? ruleset.stance,
+    attackRanges: { ...ruleset.attackRanges, ...fighter.attackRanges },
+    moves: moves,
+  };
+};
+
+// Returns a copy of ruleset where names[0] plays left and names[1] right.
+// Fighters already in the ruleset are replaced.
+const withFighters = (ruleset, names) => {
+  if (!Array.isArray(names) || names.length !== 2) {
+    throw new Error("Pick a fighter for both players");
+  }
+  return parseRuleset({
+    ...ruleset,
+    fighters: names.map((name) => resolveFighter(ruleset, name)),
+  });
+};
+
+// the names of the fighters in ruleset, samurai when it has none
+const rulesetFighters = (ruleset) =>
+  (ruleset.fighters ?? [fighters.samurai, fighters.samurai]).map((f) => f.name);
+
+export { fighters, fighterNames, withFighters, rulesetFighters };
@@ -0,0 +1,158 @@
+import { describe, expect, it } from "vitest";
+import { chooseMoves, difficulties } from "./ai.js";
+import { fighterNames, rulesetFighters, withFighters } from "./fighters.js";
+import { Command, Game } from "./game.js";
+import { Match } from "./match.js";
+import { exportNotation, importNotation } from "./notation.js";
+import { classicRuleset, parseRuleset, playerRules } from "./ruleset.js";
+import {
+  decodeGameCode,
+  deserializeGame,
+  encodeGameCode,
+  serializeGame,
+} from "./serialization.js";
+
+const names = (ruleset, playerIndex) =>
+  playerRules(ruleset, playerIndex).moves.map((m) => m.name);
+
+// both players high, distance apart, with the left player to move
+const facing = (ruleset, distance) => {
+  const game = new Game(ruleset);
+  game.applyMoves(new Command(0, "Hold"), new Command(0, "Hold"));
+  game.applyMoves(new Command(1, "Hold"), new Command(1, "Hold"));
+  game.state.setPlayerStates([
+    { health: 2, position: 1, stance: "high" },
+    { health: 2, position: 1 + distance, stance: "high" },
+  ]);
+  return game;
+};
+
+const eventTypes = (game) => game.lastEvents().map((e) => e.type);
+
+describe("withFighters", () => {
+  it("gives each player their fighter's rules", () => {
+    const ruleset = withFighters(classicRuleset, ["spearman", "ronin"]);
+    expect(rulesetFighters(ruleset)).toEqual(["spearman", "ronin"]);
+    expect(playerRules(ruleset, 0).attackRanges).toEqual({ high: 3, low: 2 });
+    expect(names(ruleset, 0)).not.toContain("Parry");
+    expect(playerRules(ruleset, 1).health).toBe(3);
+    expect(names(ruleset, 1)).toEqual(names(classicRuleset, 0));
+    // the ruleset itself is unchanged
+    expect(ruleset.moves).toEqual(classicRuleset.moves);
+    expect(classicRuleset.fighters).toBe(undefined);
+  });
+
+  it("replaces fighters that were already picked", () => {
+    const first = withFighters(classicRuleset, ["duelist", "duelist"]);
+    const second = withFighters(first, ["samurai", "ronin"]);
+    expect(names(second, 0)).toEqual(names(classicRuleset, 0));
+    expect(second).toEqual(withFighters(classicRuleset, ["samurai", "ronin"]));
+  });
+
+  it("survives a trip through JSON", () => {
+    fighterNames.forEach((name) => {
+      const ruleset = withFighters(classicRuleset, [name, "samurai"]);
+      expect(parseRuleset(JSON.stringify(ruleset))).toEqual(ruleset);
+    });
+  });
+
+  it("rejects unknown fighters", () => {
+    expect(() => withFighters(classicRuleset, ["ninja", "ronin"])).toThrow();
+    expect(() => withFighters(classicRuleset, ["ronin"])).toThrow();
+  });
+
+  it("requires every fighter to know the opening move", () => {
+    const ruleset = withFighters(classicRuleset, ["ronin", "ronin"]);
+    ruleset.fighters[1].moves = ruleset.fighters[1].moves.filter(
+      (m) => m.name !== "Advance"
+    );
+    expect(() => parseRuleset(ruleset)).toThrow();
+  });
+});
+
+describe("fighters in play", () => {
+  it("starts players with their own health", () => {
+    const game = new Game(withFighters(classicRuleset, ["samurai", "ronin"]));
+    expect(game.state.getPlayerStates().map((p) => p.health)).toEqual([2, 3]);
+  });
+
+  it("lets the spearman hit from further away", () => {
+    const spear = facing(
+      withFighters(classicRuleset, ["spearman", "samurai"]),
+      3
+    );
+    spear.applyMoves(new Command(0, "SwitchAttack"), new Command(0, "Hold"));
+    expect(eventTypes(spear)).toContain("hit");
+
+    const sword = facing(classicRuleset, 3);
+    sword.applyMoves(new Command(0, "SwitchAttack"), new Command(0, "Hold"));
+    expect(eventTypes(sword)).toContain("attackMissed");
+  });
+
+  it("parries at the parrying fighter's own range", () => {
+    const game = facing(
+      withFighters(classicRuleset, ["spearman", "samurai"]),
+      3
+    );
+    // the samurai's high range is 2, so a spear thrust from 3 can't be parried
+    game.nextCommands[1] = new Command(1, "Parry");
+    game.applyMoves(new Command(0, "SwitchAttack"), new Command(0, "Hold"));
+    expect(eventTypes(game)).not.toContain("parried");
+    expect(game.getPlayer(1).health).toBe(1);
+  });
+
+  it("moves with the fighter's own moves", () => {
+    const ruleset = withFighters(classicRuleset, ["ronin", "duelist"]);
+    const game = new Game(ruleset);
+    game.applyMoves(new Command(0, "Charge"), new Command(0, "Hold"));
+    expect(game.getPlayer(0).position).toBe(2);
+    game.applyMoves(new Command(1, "Dash"), new Command(1, "Hold"));
+    // the duelist dashes until stopped next to the ronin
+    expect(game.getPlayer(1).position).toBe(3);
+  });
+
+  it("lets the AI play only its own moves", () => {
+    const ruleset = withFighters(classicRuleset, ["spearman", "duelist"]);
+    Object.keys(difficulties).forEach((difficulty) => {
+      const game = new Game(ruleset);
+      for (let turn = 0; turn < 4 && !game.outcome(); turn++) {
+        const moves = chooseMoves(game, difficulty);
+        const legal = names(ruleset, game.activePlayer());
+        moves.forEach((m) => expect(legal).toContain(m.move));
+        game.applyMoves(...moves);
+      }
+    });
+  });
+
+  it("starts a new match with other fighters", () => {
+    const match = new Match();
+    const game = match.game;
+    match.reset(withFighters(classicRuleset, ["ronin", "ronin"]));
+    expect(match.game).toBe(game);
+    expect(game.getPlayer(0).health).toBe(3);
+  });
+});
+
+describe("saving fighters", () => {
+  const played = () => {
+    const game = new Game(withFighters(classicRuleset, ["duelist", "ronin"]));
+    game.applyMoves(new Command(0, "Dash"), new Command(0, "Hold"));
+    game.applyMoves(new Command(1, "Charge"), new Command(1, "Block"));
+    return game;
+  };
+
+  it("keeps them in saves, codes and notation", () => {
+    const game = played();
+    const states = (g) => [g.state.getPlayerStates(), g.history];
+    const saved = deserializeGame(
+      JSON.parse(JSON.stringify(serializeGame(game)))
+    );
+    expect(states(saved)).toEqual(states(game));
+    const coded = deserializeGame(decodeGameCode(encodeGameCode(game)));
+    expect(states(coded)).toEqual(states(game));
+    const text = exportNotation(game);
+    expect(text).toContain('[Fighters "duelist ronin"]');
+    expect(text).toContain("1. D (A)");
+    expect(states(importNotation(text).game)).toEqual(states(game));
+  });
+});
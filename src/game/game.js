@@ -0,0 +1,621 @@
+/**
+ * Game Rules
+ *
+ * Headless rules engine. Nothing in here may touch the DOM, three.js or the
+ * network, so it can run in the browser, in Node, in tests or in a bot.
+ */
+
+import {
+  classicRuleset,
+  findMove,
+  findPlayerMove,
+  playerRules,
+  startPositions,
+  tileAt,
+} from "./ruleset.js";
+
+const clamp = (num, min, max) => Math.max(min, Math.min(num, max));
+
+// A command is the user's intention (ex: move forward)
+// A delta is the state was before and after (ex: there was a wall in front, no change in position)
+class Game {
+  constructor(ruleset = classicRuleset) {
+    this.ruleset = ruleset;
+    this.reset();
+  }
+
+  // back to the opening position, keeping the ruleset
+  reset() {
+    this.state = new GameState(this.ruleset);
+    this.history = [];
+    // undone turns as [first, second] pairs, the latest undo last
+    this.future = [];
+    this.nextCommands = [null, new Command(1, this.ruleset.openingMove)];
+    this.priorityPlayer = 0;
+  }
+
+  // playing a new turn throws away anything that could be redone
+  applyMoves(first, second) {
+    if (!this.applyTurn(first, second)) {
+      return false;
+    }
+    this.future = [];
+    return true;
+  }
+
+  applyTurn(first, second) {
+    if (this.outcome() || this.awaitingReveal()) {
+      return false;
+    }
+    const activePlayer = this.activePlayer();
+    this.nextCommands[activePlayer] = first;
+    const deltas = this.state.apply(this.nextCommands);
+    this.history.push([this.nextCommands, deltas]);
+    this.nextCommands = [null, null];
+    this.nextCommands[activePlayer] = second;
+    return true;
+  }
+
+  activePlayer() {
+    return this.nextCommands.findIndex((m) => m === null);
+  }
+
+  // The waiting player's move may only be a commitment (see commitment.js),
+  // which has to be revealed before the turn can resolve.
+  awaitingReveal() {
+    const waiting = this.nextCommands.find((m) => m !== null);
+    return !!waiting && typeof waiting.move !== "string";
+  }
+
+  // swaps a commitment for the move it was hiding
+  reveal(command) {
+    const current = this.nextCommands[command.playerIndex];
+    if (!current || typeof current.move === "string") {
+      return false;
+    }
+    this.nextCommands[command.playerIndex] = new Command(
+      command.playerIndex,
+      command.move
+    );
+    return true;
+  }
+
+  lastCommand(playerIndex) {
+    if (this.history.length) {
+      return this.history[this.history.length - 1][0][playerIndex];
+    } else {
+      return { playerIndex: playerIndex, move: this.ruleset.openingMove };
+    }
+  }
+
+  undo() {
+    if (!this.history.length) {
+      return false;
+    }
+    const activePlayer = this.activePlayer();
+    const undonePlayer = (activePlayer + 1) % 2;
+    const [moves, deltas] = this.history.pop();
+    this.future.push([moves[undonePlayer], this.nextCommands[undonePlayer]]);
+    this.state.undo(deltas);
+    this.nextCommands = moves;
+    this.nextCommands[undonePlayer] = null;
+    return true;
+  }
+
+  redo() {
+    if (!this.future.length) {
+      return false;
+    }
+    const [first, second] = this.future.pop();
+    return this.applyTurn(first, second);
+  }
+
+  // the turn jumpTo would reach by redoing everything
+  lastTurn() {
+    return this.history.length + this.future.length;
+  }
+
+  // turnIndex is the number of resolved turns to show,
+  // from 0 (the opening) up to lastTurn(). Going forward stops early where
+  // a turn can't be redone, like one waiting on a reveal.
+  jumpTo(turnIndex) {
+    if (turnIndex < 0 || turnIndex > this.lastTurn()) {
+      return false;
+    }
+    while (this.history.length > turnIndex) {
+      this.undo();
+    }
+    while (this.history.length < turnIndex && this.redo()) {}
+    return true;
+  }
+
+  // null while the game is still being played
+  outcome() {
+    return this.state.outcome(this.history.length);
+  }
+
+  // events from the most recently resolved turn
+  lastEvents() {
+    if (this.history.length) {
+      return this.history[this.history.length - 1][1].events;
+    } else {
+      return [];
+    }
+  }
+
+  getPlayer(index) {
+    return this.state.players[index];
+  }
+}
+
+// the state at a particular moment in the game
+// it does not care how you got here.
+class GameState {
+  constructor(ruleset = classicRuleset) {
+    this.ruleset = ruleset;
+    this.arenaSize = ruleset.arenaSize;
+    // fighters can start with their own health, stance and stamina
+    this.players = startPositions(ruleset).map((start, i) => {
+      const { health, stance, maxStamina } = playerRules(ruleset, i);
+      return new Player(start, health, stance, maxStamina);
+    });
+  }
+
+  applyMove({ playerIndex, move }) {
+    const player = this.players[playerIndex];
+    player.nextPosition = player.position;
+    const definition = findPlayerMove(this.ruleset, playerIndex, move);
+    if (!definition) {
+      return;
+    }
+    // player 0 faces right, player 1 faces left
+    player.nextPosition += definition.offset * Math.sign(0.5 - playerIndex);
+  }
+
+  // players who ring out end up one tile past the edge
+  inArena(position) {
+    return position >= 0 && position <= this.arenaSize - 1;
+  }
+
+  // Movement happens in two phases.
+  // Backward moves resolve first and can only be stopped by the arena edge,
+  // or carry the player out of the ring.
+  // Forward moves then advance one tile at a time for both players together,
+  // so collisions happen where the players actually meet:
+  // - stepping into a player who isn't moving stops you next to them.
+  // - both stepping onto the same tile, or past each other, is a clash. The
+  //   player with more movement left takes the step and pushes the other
+  //   back a tile. On a tie both bounce off and stay where they were.
+  // Any collision ends movement for the turn. Attacks are always measured
+  // from where the players end up.
+  resolveMovement(events) {
+    const directions = [1, -1];
+    const starts = this.players.map((p) => p.position);
+    const intended = this.players.map((p) => p.nextPosition ?? p.position);
+    let positions = [...starts];
+    let remaining = [0, 0];
+
+    intended.forEach((target, i) => {
+      const offset = (target - starts[i]) * directions[i];
+      if (offset >= 0) {
+        remaining[i] = offset;
+        return;
+      }
+      positions[i] = this.ruleset.ringOut
+        ? clamp(target, -1, this.arenaSize)
+        : clamp(target, 0, this.arenaSize - 1);
+      if (!this.ruleset.ringOut && positions[i] !== target) {
+        events.push({
+          type: "clampedAtEdge",
+          playerIndex: i,
+          position: starts[i],
+          intended: target,
+          to: positions[i],
+        });
+      }
+    });
+
+    while (remaining.some((r) => r > 0)) {
+      const stepping = remaining.map((r) => r > 0);
+      const next = positions.map((p, i) =>
+        stepping[i] ? p + directions[i] : p
+      );
+      if (next[0] < next[1]) {
+        positions = next;
+        remaining = remaining.map((r) => Math.max(r - 1, 0));
+        continue;
+      }
+
+      if (stepping[0] && stepping[1]) {
+        positions = this.resolveClash(positions, next, remaining, events);
+      } else {
+        const i = stepping[0] ? 0 : 1;
+        events.push({
+          type: "movementBlockedByCollision",
+          playerIndex: i,
+          position: starts[i],
+          intended: intended[i],
+          to: positions[i],
+        });
+      }
+      break;
+    }
+
+    this.players.forEach((p, i) => {
+      if (positions[i] !== starts[i]) {
+        events.push({
+          type: "moved",
+          playerIndex: i,
+          position: starts[i],
+          to: positions[i],
+        });
+      }
+      p.position = positions[i];
+      p.nextPosition = null;
+    });
+  }
+
+  // both players stepped into each other, returns where they end up.
+  resolveClash(positions, next, remaining, events) {
+    const directions = [1, -1];
+    // null when they would pass each other between two tiles
+    const tile = next[0] === next[1] ? next[0] : null;
+    let winner = null;
+    if (remaining[0] !== remaining[1]) {
+      winner = remaining[0] > remaining[1] ? 0 : 1;
+    }
+    const resolved = [...positions];
+    if (winner !== null) {
+      const loser = (winner + 1) % 2;
+      const pushedTo = next[winner] - directions[loser];
+      if (this.inArena(pushedTo) || this.ruleset.ringOut) {
+        resolved[winner] = next[winner];
+        resolved[loser] = pushedTo;
+      } else {
+        // pinned against the edge, nobody gives way
+        winner = null;
+      }
+    }
+
+    positions.forEach((position, i) => {
+      events.push({
+        type: "clash",
+        playerIndex: i,
+        position: position,
+        tile: tile,
+        won: winner === i,
+      });
+    });
+    resolved.forEach((to, i) => {
+      if (to !== positions[i] && i !== winner) {
+        events.push({
+          type: "pushedBack",
+          playerIndex: i,
+          position: positions[i],
+          to: to,
+        });
+      }
+    });
+    return resolved;
+  }
+
+  // Anyone who moved onto a slippery tile keeps going the same way, one
+  // tile at a time for both players together. Sliding stops on a tile that
+  // isn't slippery, at the arena edge or in front of the other player.
+  resolveSlides(starts, events) {
+    const directions = this.players.map((p, i) =>
+      Math.sign(p.position - starts[i])
+    );
+    const from = this.players.map((p) => p.position);
+    let positions = [...from];
+    const slipping = (position, i) =>
+      directions[i] !== 0 &&
+      this.inArena(position) &&
+      tileAt(this.ruleset, position).slippery;
+    let sliding = positions.map(slipping);
+
+    while (sliding.some((s) => s)) {
+      const next = positions.map((p, i) =>
+        sliding[i] ? p + directions[i] : p
+      );
+      if (next[0] >= next[1]) {
+        break;
+      }
+      sliding = sliding.map(
+        (s, i) => s && (this.inArena(next[i]) || this.ruleset.ringOut)
+      );
+      positions = positions.map((p, i) => (sliding[i] ? next[i] : p));
+      sliding = sliding.map((s, i) => s && slipping(positions[i], i));
+    }
+
+    this.players.forEach((p, i) => {
+      if (positions[i] !== from[i]) {
+        events.push({
+          type: "slid",
+          playerIndex: i,
+          position: from[i],
+          to: positions[i],
+        });
+        p.position = positions[i];
+      }
+    });
+  }
+
+  // attacks are checked against the stances from the start of the turn,
+  // so a Feint or SwitchAttack never changes what the opponent can hit.
+  applyAttack({ playerIndex, move }, moves, events) {
+    const definition = findPlayerMove(this.ruleset, playerIndex, move);
+    if (!definition || !definition.attack) {
+      return;
+    }
+    const opponentIndex = (playerIndex + 1) % 2;
+    const player = this.players[playerIndex];
+    const opponent = this.players[opponentIndex];
+    // nobody fights outside the ring
+    if (!this.inArena(player.position) || !this.inArena(opponent.position)) {
+      return;
+    }
+    const distance = Math.abs(player.position - opponent.position);
+    // each fighter reaches as far as their own rules say
+    const attackerRules = playerRules(this.ruleset, playerIndex);
+    const defenderRules = playerRules(this.ruleset, opponentIndex);
+    const range = attackerRules.attackRanges[player.stance];
+    const attack = {
+      playerIndex: playerIndex,
+      position: player.position,
+      targetIndex: opponentIndex,
+      targetPosition: opponent.position,
+      stance: player.stance,
+      distance: distance,
+      range: range,
+    };
+    if (distance !== range) {
+      events.push({ type: "attackMissed", ...attack });
+      return;
+    }
+
+    const defence = findMove(defenderRules, moves[opponentIndex].move);
+    if (defence && defence.block && opponent.stance === player.stance) {
+      events.push({ type: "blocked", ...attack });
+      return;
+    }
+    if (
+      defence &&
+      defence.parry &&
+      distance === defenderRules.attackRanges[opponent.stance]
+    ) {
+      events.push({ type: "parried", ...attack });
+      player.isHit = true;
+      events.push({
+        type: "hit",
+        playerIndex: playerIndex,
+        position: player.position,
+        attackerIndex: opponentIndex,
+        attackerPosition: opponent.position,
+      });
+      return;
+    }
+    opponent.isHit = true;
+    events.push({
+      type: "hit",
+      playerIndex: opponentIndex,
+      position: opponent.position,
+      attackerIndex: playerIndex,
+      attackerPosition: player.position,
+    });
+  }
+
+  applyStance({ playerIndex, move }, events) {
+    const definition = findPlayerMove(this.ruleset, playerIndex, move);
+    if (definition && definition.switchStance) {
+      const player = this.players[playerIndex];
+      const from = player.stance;
+      player.stance = from === "high" ? "low" : "high";
+      events.push({
+        type: "stanceChanged",
+        playerIndex: playerIndex,
+        position: player.position,
+        from: from,
+        to: player.stance,
+      });
+    }
+  }
+
+  // Spends the stamina for a move as it resolves. A move the player can't
+  // pay for is replaced by doing nothing.
+  payStamina(command, events) {
+    const { playerIndex, move } = command;
+    const player = this.players[playerIndex];
+    const definition = findPlayerMove(this.ruleset, playerIndex, move);
+    if (player.stamina === null || !definition) {
+      return command;
+    }
+    if (definition.cost > player.stamina) {
+      events.push({
+        type: "exhausted",
+        playerIndex: playerIndex,
+        position: player.position,
+        move: move,
+      });
+      return new Command(playerIndex, null);
+    }
+    const { maxStamina } = playerRules(this.ruleset, playerIndex);
+    player.stamina = clamp(player.stamina - definition.cost, 0, maxStamina);
+    return command;
+  }
+
+  // whether playerIndex can pay for moves played one turn after another
+  canAfford(playerIndex, moves) {
+    const player = this.players[playerIndex];
+    if (player.stamina === null) {
+      return true;
+    }
+    const { maxStamina } = playerRules(this.ruleset, playerIndex);
+    let stamina = player.stamina;
+    return moves.every((move) => {
+      const definition = findPlayerMove(this.ruleset, playerIndex, move);
+      if (!definition) {
+        return true;
+      }
+      if (definition.cost > stamina) {
+        return false;
+      }
+      stamina = clamp(stamina - definition.cost, 0, maxStamina);
+      return true;
+    });
+  }
+
+  // an independent copy, for simulating turns without touching this one
+  clone() {
+    const state = new GameState(this.ruleset);
+    state.setPlayerStates(this.getPlayerStates());
+    return state;
+  }
+
+  getPlayerStates() {
+    return Array.from(
+      this.players.map((p) => {
+        const state = {
+          health: p.health,
+          position: p.position,
+          stance: p.stance,
+        };
+        // without stamina the states look the same as before it existed
+        if (p.stamina !== null) {
+          state.stamina = p.stamina;
+        }
+        return state;
+      })
+    );
+  }
+
+  setPlayerStates(states) {
+    states.forEach((s, i) => {
+      const player = this.players[i];
+      player.health = s.health;
+      player.position = s.position;
+      player.stance = s.stance;
+      player.stamina = s.stamina ?? player.stamina;
+      player.nextPosition = s.position;
+      player.isHit = false;
+    });
+  }
+
+  // Outcomes look like { result: "win" | "draw", reason, winner }
+  // reason is one of knockout, ringOut, doubleKnockout, health, position or
+  // turnLimit.
+  outcome(turnsPlayed) {
+    const alive = this.players.map((p) => p.health > 0);
+    if (!alive[0] && !alive[1]) {
+      return { result: "draw", reason: "doubleKnockout", winner: null };
+    }
+    if (!alive[0] || !alive[1]) {
+      const winner = alive[0] ? 0 : 1;
+      const loser = this.players[(winner + 1) % 2];
+      const reason = this.inArena(loser.position) ? "knockout" : "ringOut";
+      return { result: "win", reason: reason, winner: winner };
+    }
+
+    const { turnLimit } = this.ruleset;
+    if (turnLimit === null || turnsPlayed < turnLimit) {
+      return null;
+    }
+    const [left, right] = this.players;
+    if (left.health !== right.health) {
+      const winner = left.health > right.health ? 0 : 1;
+      return { result: "win", reason: "health", winner: winner };
+    }
+    // ground gained, measured from each player's own edge
+    const ground = [left.position, this.arenaSize - 1 - right.position];
+    if (ground[0] !== ground[1]) {
+      const winner = ground[0] > ground[1] ? 0 : 1;
+      return { result: "win", reason: "position", winner: winner };
+    }
+    return { result: "draw", reason: "turnLimit", winner: null };
+  }
+
+  // Returns the states before and after the turn, plus the ordered list of
+  // events that explain how one became the other. See events.js.
+  apply(moves) {
+    // store state before
+    const deltas = {
+      before: this.getPlayerStates(),
+    };
+    const events = [];
+
+    // an exhausted player's move doesn't happen
+    moves = moves.map((m) => this.payStamina(m, events));
+
+    // apply every move
+    // moves shouldn't change things, just indicate intention
+    moves.forEach((m) => this.applyMove(m));
+
+    this.resolveMovement(events);
+    const starts = deltas.before.map((s) => s.position);
+    this.resolveSlides(starts, events);
+    this.players.forEach((p, i) => {
+      if (!this.inArena(p.position)) {
+        events.push({ type: "ringOut", playerIndex: i, position: p.position });
+      }
+    });
+
+    // see who's hit
+    moves.forEach((m) => this.applyAttack(m, moves, events));
+
+    // switch stances
+    moves.forEach((m) => this.applyStance(m, events));
+
+    // resolve damage
+    this.players.forEach((p, i) => {
+      const wasAlive = p.health > 0;
+      if (!this.inArena(p.position)) {
+        // out of the ring is out of the round
+        p.health = 0;
+      } else {
+        const { damage } = tileAt(this.ruleset, p.position);
+        if (damage > 0) {
+          events.push({
+            type: "hazard",
+            playerIndex: i,
+            position: p.position,
+            damage: damage,
+          });
+        }
+        p.health -= (p.isHit ? 1 : 0) + damage;
+      }
+      p.isHit = false;
+      if (wasAlive && p.health <= 0) {
+        events.push({ type: "died", playerIndex: i, position: p.position });
+      }
+    });
+
+    deltas.after = this.getPlayerStates();
+    deltas.events = events;
+    return deltas;
+  }
+
+  undo(deltas) {
+    this.setPlayerStates(deltas.before);
+  }
+}
+
+class Player {
+  // stamina is null when the ruleset doesn't use it
+  constructor(start, health, stance, stamina = null) {
+    this.stance = stance;
+    this.position = start;
+    this.nextPosition = null;
+    this.health = health;
+    this.stamina = stamina;
+    this.isHit = false;
+  }
+}
+
+class Command {
+  constructor(playerIndex, move) {
+    this.playerIndex = playerIndex;
+    this.move = move;
+  }
+}
+
+export { Game, GameState, Player, Command };
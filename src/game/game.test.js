@@ -0,0 +1,721 @@
+import { describe, expect, it } from "vitest";
+import { Command, Game, GameState } from "./game.js";
+import { parseRuleset } from "./ruleset.js";
+
+const moves = (playerIndex, ...names) =>
+  names.map((name) => new Command(playerIndex, name));
+
+describe("Game", () => {
+  it("starts with the left player to move and an opening Advance queued", () => {
+    const game = new Game();
+    expect(game.activePlayer()).toBe(0);
+    expect(game.nextCommands[1]).toEqual(new Command(1, "Advance"));
+    expect(game.getPlayer(0).position).toBe(1);
+    expect(game.getPlayer(1).position).toBe(6);
+  });
+
+  describe("applyMoves", () => {
+    it("resolves the turn and queues the second move", () => {
+      const game = new Game();
+      game.applyMoves(...moves(0, "Advance", "Charge"));
+
+      expect(game.history.length).toBe(1);
+      expect(game.getPlayer(0).position).toBe(2);
+      expect(game.getPlayer(1).position).toBe(5);
+      expect(game.nextCommands).toEqual([new Command(0, "Charge"), null]);
+      expect(game.activePlayer()).toBe(1);
+    });
+
+    it("alternates the active player every turn", () => {
+      const game = new Game();
+      game.applyMoves(...moves(0, "Advance", "Advance"));
+      game.applyMoves(...moves(1, "Retreat", "Retreat"));
+      expect(game.activePlayer()).toBe(0);
+      expect(game.getPlayer(0).position).toBe(3);
+      expect(game.getPlayer(1).position).toBe(6);
+    });
+
+    it("records before and after states in history", () => {
+      const game = new Game();
+      game.applyMoves(...moves(0, "Charge", "Advance"));
+      const [commands, deltas] = game.history[0];
+
+      expect(commands.map((c) => c.move)).toEqual(["Charge", "Advance"]);
+      expect(deltas.before.map((s) => s.position)).toEqual([1, 6]);
+      expect(deltas.after.map((s) => s.position)).toEqual([3, 5]);
+    });
+
+    it("deals damage when the attack range matches the distance", () => {
+      const game = new Game();
+      game.applyMoves(...moves(0, "Advance", "SwitchAttack"));
+      game.applyMoves(...moves(1, "Advance", "Advance"));
+
+      // distance 2 with a high stance hits
+      expect(game.getPlayer(1).health).toBe(1);
+      expect(game.getPlayer(0).stance).toBe("low");
+    });
+  });
+
+  describe("undo", () => {
+    it("does nothing without history", () => {
+      const game = new Game();
+      expect(game.undo()).toBe(false);
+      expect(game.activePlayer()).toBe(0);
+    });
+
+    it("restores state and the pending commands", () => {
+      const game = new Game();
+      game.applyMoves(...moves(0, "Advance", "SwitchAttack"));
+      game.applyMoves(...moves(1, "Advance", "Advance"));
+
+      expect(game.undo()).toBe(true);
+      expect(game.history.length).toBe(1);
+      expect(game.activePlayer()).toBe(1);
+      expect(game.nextCommands[0]).toEqual(new Command(0, "SwitchAttack"));
+      expect(game.getPlayer(1).health).toBe(2);
+      expect(game.getPlayer(0).stance).toBe("high");
+
+      expect(game.undo()).toBe(true);
+      expect(game.activePlayer()).toBe(0);
+      expect(game.nextCommands[1]).toEqual(new Command(1, "Advance"));
+      expect(game.getPlayer(0).position).toBe(1);
+    });
+  });
+
+  describe("redo", () => {
+    it("does nothing without an undo", () => {
+      const game = new Game();
+      game.applyMoves(...moves(0, "Advance", "Charge"));
+      expect(game.redo()).toBe(false);
+    });
+
+    it("replays the undone turn and its queued move", () => {
+      const game = new Game();
+      game.applyMoves(...moves(0, "Advance", "SwitchAttack"));
+      game.applyMoves(...moves(1, "Advance", "Retreat"));
+      const states = game.state.getPlayerStates();
+      const commands = game.nextCommands;
+
+      game.undo();
+      game.undo();
+      expect(game.redo()).toBe(true);
+      expect(game.nextCommands[0]).toEqual(new Command(0, "SwitchAttack"));
+      expect(game.redo()).toBe(true);
+      expect(game.state.getPlayerStates()).toEqual(states);
+      expect(game.nextCommands).toEqual(commands);
+      expect(game.redo()).toBe(false);
+    });
+
+    it("is cleared by playing a new turn", () => {
+      const game = new Game();
+      game.applyMoves(...moves(0, "Advance", "Charge"));
+      game.undo();
+      game.applyMoves(...moves(0, "Retreat", "Charge"));
+      expect(game.redo()).toBe(false);
+      expect(game.lastCommand(0).move).toBe("Retreat");
+    });
+  });
+
+  describe("jumpTo", () => {
+    const play = () => {
+      const game = new Game();
+      game.applyMoves(...moves(0, "Advance", "Advance"));
+      game.applyMoves(...moves(1, "Advance", "Hold"));
+      game.applyMoves(...moves(0, "Retreat", "Hold"));
+      return game;
+    };
+
+    it("moves back and forth through the history", () => {
+      const game = play();
+      const final = game.state.getPlayerStates();
+
+      expect(game.jumpTo(1)).toBe(true);
+      expect(game.history.length).toBe(1);
+      expect(game.activePlayer()).toBe(1);
+      expect(game.jumpTo(0)).toBe(true);
+      expect(game.state.getPlayerStates()).toEqual(
+        new Game().state.getPlayerStates()
+      );
+      expect(game.jumpTo(3)).toBe(true);
+      expect(game.state.getPlayerStates()).toEqual(final);
+    });
+
+    it("stops going forward at a turn that can't be redone", () => {
+      const game = play();
+      game.jumpTo(1);
+      // the waiting player's move is hidden behind a commitment again
+      game.nextCommands[0] = { playerIndex: 0, hash: "a".repeat(64) };
+      expect(game.jumpTo(3)).toBe(true);
+      expect(game.history.length).toBe(1);
+    });
+
+    it("rejects turns that don't exist", () => {
+      const game = play();
+      expect(game.jumpTo(4)).toBe(false);
+      expect(game.jumpTo(-1)).toBe(false);
+      expect(game.history.length).toBe(3);
+    });
+  });
+
+  describe("reveal", () => {
+    const hidden = (playerIndex) => ({ playerIndex: playerIndex, hash: "ab" });
+
+    it("waits for a committed move to be revealed", () => {
+      const game = new Game();
+      game.applyMoves(new Command(0, "Advance"), hidden(0));
+      expect(game.awaitingReveal()).toBe(true);
+      expect(game.applyMoves(...moves(1, "Hold", "Hold"))).toBe(false);
+      expect(game.history.length).toBe(1);
+
+      expect(game.reveal(new Command(0, "Charge"))).toBe(true);
+      expect(game.awaitingReveal()).toBe(false);
+      expect(game.applyMoves(...moves(1, "Hold", "Hold"))).toBe(true);
+      expect(game.lastCommand(0).move).toBe("Charge");
+    });
+
+    it("only replaces commitments", () => {
+      const game = new Game();
+      expect(game.reveal(new Command(1, "Charge"))).toBe(false);
+      expect(game.reveal(new Command(0, "Charge"))).toBe(false);
+      expect(game.nextCommands[1].move).toBe("Advance");
+    });
+  });
+
+  describe("lastCommand", () => {
+    it("defaults to Advance before any turn", () => {
+      const game = new Game();
+      expect(game.lastCommand(0)).toEqual({ playerIndex: 0, move: "Advance" });
+      expect(game.lastCommand(1)).toEqual({ playerIndex: 1, move: "Advance" });
+    });
+
+    it("returns the commands of the latest resolved turn", () => {
+      const game = new Game();
+      game.applyMoves(...moves(0, "Retreat", "Charge"));
+      expect(game.lastCommand(0).move).toBe("Retreat");
+      expect(game.lastCommand(1).move).toBe("Advance");
+
+      game.applyMoves(...moves(1, "SwitchAttack", "Advance"));
+      expect(game.lastCommand(0).move).toBe("Charge");
+      expect(game.lastCommand(1).move).toBe("SwitchAttack");
+    });
+  });
+});
+
+describe("GameState", () => {
+  it("keeps players inside the arena", () => {
+    const state = new GameState();
+    state.apply(moves(0, "Retreat").concat(moves(1, "Retreat")));
+    state.apply(moves(0, "Retreat").concat(moves(1, "Retreat")));
+    expect(state.players.map((p) => p.position)).toEqual([0, 7]);
+  });
+
+  it("cancels movement when players would cross", () => {
+    const state = new GameState();
+    state.setPlayerStates([
+      { health: 2, position: 3, stance: "high" },
+      { health: 2, position: 4, stance: "high" },
+    ]);
+    state.apply(moves(0, "Advance").concat(moves(1, "Advance")));
+    expect(state.players.map((p) => p.position)).toEqual([3, 4]);
+  });
+});
+
+describe("stamina", () => {
+  const ruleset = parseRuleset({ maxStamina: 3 });
+  const turn = (state, first, second) =>
+    state.apply([new Command(0, first), new Command(1, second)]);
+  const stamina = (state) => state.players.map((p) => p.stamina);
+
+  it("is off unless the ruleset sets a maximum", () => {
+    const state = new GameState();
+    expect(stamina(state)).toEqual([null, null]);
+    turn(state, "Charge", "Charge");
+    expect(stamina(state)).toEqual([null, null]);
+    expect("stamina" in state.getPlayerStates()[0]).toBe(false);
+  });
+
+  it("is spent by moves and regenerated up to the maximum", () => {
+    const state = new GameState(ruleset);
+    expect(stamina(state)).toEqual([3, 3]);
+    turn(state, "Charge", "Hold");
+    expect(stamina(state)).toEqual([1, 3]);
+    turn(state, "Retreat", "Advance");
+    expect(stamina(state)).toEqual([2, 2]);
+  });
+
+  it("turns a move that can't be paid for into nothing", () => {
+    const state = new GameState(ruleset);
+    state.players[0].stamina = 1;
+    const { events } = turn(state, "Charge", "Hold");
+    expect(events).toEqual([
+      { type: "exhausted", playerIndex: 0, position: 1, move: "Charge" },
+    ]);
+    expect(state.players[0].position).toBe(1);
+    expect(stamina(state)).toEqual([1, 3]);
+  });
+
+  it("checks moves played one after another", () => {
+    const state = new GameState(ruleset);
+    expect(state.canAfford(0, ["Charge", "Advance"])).toBe(true);
+    expect(state.canAfford(0, ["Charge", "Charge"])).toBe(false);
+    state.players[0].stamina = 0;
+    expect(state.canAfford(0, ["Hold", "Advance"])).toBe(true);
+    expect(state.canAfford(0, ["Advance"])).toBe(false);
+  });
+
+  it("is restored by undo", () => {
+    const game = new Game(ruleset);
+    game.applyMoves(...moves(0, "Charge", "Hold"));
+    expect(game.getPlayer(0).stamina).toBe(1);
+    game.undo();
+    expect(game.getPlayer(0).stamina).toBe(3);
+    game.redo();
+    expect(game.getPlayer(0).stamina).toBe(1);
+  });
+});
+
+describe("arena tiles", () => {
+  const turn = (state, first, second) =>
+    state.apply([new Command(0, first), new Command(1, second)]);
+  const place = (state, positions) =>
+    state.setPlayerStates(
+      positions.map((position) => ({
+        health: 2,
+        position: position,
+        stance: "high",
+      }))
+    );
+  const positions = (state) => state.players.map((p) => p.position);
+  const floor = Array(8).fill("floor");
+  // types maps tile indices to anything that isn't floor
+  const withTiles = (types) =>
+    parseRuleset({ tiles: floor.map((type, i) => types[i] ?? type) });
+
+  it("ends the round for a player who retreats out of the ring", () => {
+    const state = new GameState(parseRuleset({ ringOut: true }));
+    place(state, [0, 5]);
+    const { events } = turn(state, "Retreat", "Hold");
+    expect(positions(state)).toEqual([-1, 5]);
+    expect(events.map((e) => e.type)).toEqual(["moved", "ringOut", "died"]);
+    expect(state.outcome(1)).toEqual({
+      result: "win",
+      reason: "ringOut",
+      winner: 1,
+    });
+  });
+
+  it("lets a clash push the loser out of the ring", () => {
+    const state = new GameState(parseRuleset({ ringOut: true }));
+    place(state, [6, 7]);
+    turn(state, "Charge", "Advance");
+    expect(positions(state)).toEqual([7, 8]);
+    expect(state.outcome(1).winner).toBe(0);
+  });
+
+  it("stops players at the edge without ring outs", () => {
+    const state = new GameState();
+    place(state, [6, 7]);
+    turn(state, "Charge", "Advance");
+    expect(positions(state)).toEqual([6, 7]);
+    expect(state.outcome(1)).toBe(null);
+  });
+
+  it("hurts players who end the turn on a hazard", () => {
+    const state = new GameState(withTiles({ 0: "hazard" }));
+    place(state, [1, 5]);
+    const { events } = turn(state, "Retreat", "Hold");
+    expect(events).toContainEqual({
+      type: "hazard",
+      playerIndex: 0,
+      position: 0,
+      damage: 1,
+    });
+    expect(state.players.map((p) => p.health)).toEqual([1, 2]);
+    turn(state, "Advance", "Hold");
+    expect(state.players[0].health).toBe(1);
+  });
+
+  it("slides players across slippery tiles", () => {
+    const state = new GameState(withTiles({ 2: "slippery", 3: "slippery" }));
+    place(state, [1, 6]);
+    const { events } = turn(state, "Advance", "Hold");
+    expect(positions(state)).toEqual([4, 6]);
+    expect(events).toContainEqual({
+      type: "slid",
+      playerIndex: 0,
+      position: 2,
+      to: 4,
+    });
+  });
+
+  it("stops a slide in front of the other player", () => {
+    const state = new GameState(withTiles({ 2: "slippery" }));
+    place(state, [1, 3]);
+    turn(state, "Advance", "Hold");
+    expect(positions(state)).toEqual([2, 3]);
+  });
+});
+
+describe("defensive moves", () => {
+  // players two tiles apart, so a high attack lands
+  const setup = (stances = ["high", "high"]) => {
+    const state = new GameState();
+    state.setPlayerStates([
+      { health: 2, position: 2, stance: stances[0] },
+      { health: 2, position: 4, stance: stances[1] },
+    ]);
+    return state;
+  };
+  const healths = (state) => state.players.map((p) => p.health);
+  const turn = (state, first, second) =>
+    state.apply([new Command(0, first), new Command(1, second)]);
+
+  it("Block negates a hit from the same stance", () => {
+    const state = setup();
+    turn(state, "SwitchAttack", "Block");
+    expect(healths(state)).toEqual([2, 2]);
+    expect(state.players[1].stance).toBe("high");
+  });
+
+  it("Block does not stop an attack from the other stance", () => {
+    const state = setup(["low", "high"]);
+    state.players[1].position = 3;
+    turn(state, "SwitchAttack", "Block");
+    expect(healths(state)).toEqual([2, 1]);
+  });
+
+  it("Parry reflects an attack at the guarded range", () => {
+    const state = setup();
+    turn(state, "SwitchAttack", "Parry");
+    expect(healths(state)).toEqual([1, 2]);
+    expect(state.players[0].stance).toBe("low");
+  });
+
+  it("Parry fails against an attack at another range", () => {
+    const state = setup(["low", "high"]);
+    state.players[1].position = 3;
+    turn(state, "SwitchAttack", "Parry");
+    expect(healths(state)).toEqual([2, 1]);
+  });
+
+  it("Feint switches stance without attacking", () => {
+    const state = setup();
+    turn(state, "Feint", "Hold");
+    expect(healths(state)).toEqual([2, 2]);
+    expect(state.players[0].stance).toBe("low");
+  });
+
+  it("simultaneous attacks both use the stance from the start of the turn", () => {
+    const state = setup();
+    turn(state, "SwitchAttack", "SwitchAttack");
+    expect(healths(state)).toEqual([1, 1]);
+    expect(state.players.map((p) => p.stance)).toEqual(["low", "low"]);
+  });
+
+  it("Hold neither moves nor changes stance", () => {
+    const state = setup();
+    turn(state, "Hold", "Hold");
+    expect(state.getPlayerStates()).toEqual([
+      { health: 2, position: 2, stance: "high" },
+      { health: 2, position: 4, stance: "high" },
+    ]);
+  });
+
+  it("defensive moves still happen after movement", () => {
+    const state = setup();
+    state.players[0].position = 1;
+    turn(state, "Advance", "Block");
+    turn(state, "SwitchAttack", "Block");
+    expect(healths(state)).toEqual([2, 2]);
+  });
+});
+
+describe("turn events", () => {
+  const place = (state, positions, stances = ["high", "high"]) =>
+    state.setPlayerStates(
+      positions.map((position, i) => ({
+        health: 2,
+        position: position,
+        stance: stances[i],
+      }))
+    );
+  const turn = (state, first, second) =>
+    state.apply([new Command(0, first), new Command(1, second)]).events;
+  const types = (events) => events.map((e) => [e.type, e.playerIndex]);
+
+  it("records movement", () => {
+    const state = new GameState();
+    const events = turn(state, "Charge", "Retreat");
+    expect(events).toEqual([
+      { type: "moved", playerIndex: 0, position: 1, to: 3 },
+      { type: "moved", playerIndex: 1, position: 6, to: 7 },
+    ]);
+  });
+
+  it("tells a blocked move apart from standing still", () => {
+    const state = new GameState();
+    place(state, [3, 4]);
+    const events = turn(state, "Advance", "Hold");
+    expect(events).toEqual([
+      {
+        type: "movementBlockedByCollision",
+        playerIndex: 0,
+        position: 3,
+        intended: 4,
+        to: 3,
+      },
+    ]);
+  });
+
+  it("records moves cut short by the edge", () => {
+    const state = new GameState();
+    place(state, [0, 7]);
+    const events = turn(state, "Retreat", "Hold");
+    expect(events).toEqual([
+      {
+        type: "clampedAtEdge",
+        playerIndex: 0,
+        position: 0,
+        intended: -1,
+        to: 0,
+      },
+    ]);
+  });
+
+  it("records attacks, stance changes and deaths in order", () => {
+    const state = new GameState();
+    place(state, [2, 4]);
+    state.players[1].health = 1;
+    const events = turn(state, "SwitchAttack", "SwitchAttack");
+    expect(types(events)).toEqual([
+      ["hit", 1],
+      ["hit", 0],
+      ["stanceChanged", 0],
+      ["stanceChanged", 1],
+      ["died", 1],
+    ]);
+    expect(events[0]).toMatchObject({ attackerIndex: 0, attackerPosition: 2 });
+    expect(events[2]).toMatchObject({ from: "high", to: "low" });
+  });
+
+  it("records misses, blocks and parries", () => {
+    const state = new GameState();
+    place(state, [2, 5]);
+    expect(types(turn(state, "SwitchAttack", "Hold"))).toEqual([
+      ["attackMissed", 0],
+      ["stanceChanged", 0],
+    ]);
+
+    place(state, [2, 4]);
+    expect(types(turn(state, "SwitchAttack", "Block"))).toEqual([
+      ["blocked", 0],
+      ["stanceChanged", 0],
+    ]);
+
+    place(state, [2, 4]);
+    expect(types(turn(state, "SwitchAttack", "Parry"))).toEqual([
+      ["parried", 0],
+      ["hit", 0],
+      ["stanceChanged", 0],
+    ]);
+  });
+
+  it("is kept in the game history", () => {
+    const game = new Game();
+    expect(game.lastEvents()).toEqual([]);
+    game.applyMoves(new Command(0, "Advance"), new Command(0, "Hold"));
+    expect(types(game.lastEvents())).toEqual([
+      ["moved", 0],
+      ["moved", 1],
+    ]);
+    expect(game.history[0][1].events).toBe(game.lastEvents());
+  });
+});
+
+describe("collisions", () => {
+  const place = (state, positions) =>
+    state.setPlayerStates(
+      positions.map((position) => ({
+        health: 2,
+        position: position,
+        stance: "high",
+      }))
+    );
+  const turn = (state, first, second) =>
+    state.apply([new Command(0, first), new Command(1, second)]).events;
+  const positions = (state) => state.players.map((p) => p.position);
+
+  it("stops a player next to an opponent who holds still", () => {
+    const state = new GameState();
+    place(state, [2, 4]);
+    const events = turn(state, "Charge", "Hold");
+    expect(positions(state)).toEqual([3, 4]);
+    expect(events).toEqual([
+      {
+        type: "movementBlockedByCollision",
+        playerIndex: 0,
+        position: 2,
+        intended: 4,
+        to: 3,
+      },
+      { type: "moved", playerIndex: 0, position: 2, to: 3 },
+    ]);
+  });
+
+  it("lets a player chase a retreating opponent", () => {
+    const state = new GameState();
+    place(state, [2, 4]);
+    const events = turn(state, "Charge", "Retreat");
+    expect(positions(state)).toEqual([4, 5]);
+    expect(events.map((e) => e.type)).toEqual(["moved", "moved"]);
+  });
+
+  it("bounces two equal moves off a contested tile", () => {
+    const state = new GameState();
+    place(state, [1, 5]);
+    const events = turn(state, "Charge", "Charge");
+    expect(positions(state)).toEqual([2, 4]);
+    expect(events.filter((e) => e.type === "clash")).toEqual([
+      { type: "clash", playerIndex: 0, position: 2, tile: 3, won: false },
+      { type: "clash", playerIndex: 1, position: 4, tile: 3, won: false },
+    ]);
+  });
+
+  it("gives a contested tile to the player with more momentum", () => {
+    const state = new GameState();
+    place(state, [2, 4]);
+    const events = turn(state, "Charge", "Advance");
+    expect(positions(state)).toEqual([3, 4]);
+    expect(events.find((e) => e.type === "clash" && e.won)).toMatchObject({
+      playerIndex: 0,
+      tile: 3,
+    });
+  });
+
+  it("pushes the weaker player back when they would cross", () => {
+    const state = new GameState();
+    place(state, [2, 3]);
+    const events = turn(state, "Advance", "Charge");
+    expect(positions(state)).toEqual([1, 2]);
+    expect(events.map((e) => [e.type, e.playerIndex])).toEqual([
+      ["clash", 0],
+      ["clash", 1],
+      ["pushedBack", 0],
+      ["moved", 0],
+      ["moved", 1],
+    ]);
+    expect(events[0].tile).toBe(null);
+  });
+
+  it("does not push a player off the arena", () => {
+    const state = new GameState();
+    place(state, [0, 1]);
+    turn(state, "Advance", "Charge");
+    expect(positions(state)).toEqual([0, 1]);
+  });
+
+  it("measures attacks from where the players end up", () => {
+    const state = new GameState();
+    place(state, [1, 5]);
+    turn(state, "Charge", "Charge");
+    // bounced off the clash two tiles apart, in high range
+    turn(state, "SwitchAttack", "Hold");
+    expect(state.players[1].health).toBe(1);
+  });
+});
+
+describe("outcome", () => {
+  const place = (game, states) =>
+    game.state.setPlayerStates(
+      states.map(([health, position]) => ({
+        health: health,
+        position: position,
+        stance: "high",
+      }))
+    );
+
+  it("is null while both players stand", () => {
+    const game = new Game();
+    expect(game.outcome()).toBe(null);
+  });
+
+  it("declares a knockout winner", () => {
+    const game = new Game();
+    place(game, [
+      [1, 2],
+      [0, 4],
+    ]);
+    expect(game.outcome()).toEqual({
+      result: "win",
+      reason: "knockout",
+      winner: 0,
+    });
+  });
+
+  it("declares a double knockout a draw", () => {
+    const game = new Game();
+    place(game, [
+      [1, 1],
+      [1, 4],
+    ]);
+    game.applyMoves(new Command(0, "Hold"), new Command(0, "SwitchAttack"));
+    game.applyMoves(new Command(1, "SwitchAttack"), new Command(1, "Hold"));
+    // the opening advance put them two apart, both high attacks landed
+    expect(game.outcome()).toEqual({
+      result: "draw",
+      reason: "doubleKnockout",
+      winner: null,
+    });
+  });
+
+  it("stops accepting moves once decided", () => {
+    const game = new Game();
+    place(game, [
+      [0, 2],
+      [1, 4],
+    ]);
+    expect(
+      game.applyMoves(new Command(0, "Hold"), new Command(0, "Hold"))
+    ).toBe(false);
+    expect(game.history.length).toBe(0);
+  });
+
+  describe("at the turn limit", () => {
+    const ruleset = parseRuleset({ turnLimit: 1 });
+    const hold = (game) =>
+      game.applyMoves(new Command(0, "Hold"), new Command(0, "Hold"));
+
+    it("decides on health first", () => {
+      const game = new Game(ruleset);
+      game.state.players[0].health = 1;
+      hold(game);
+      expect(game.outcome()).toMatchObject({ reason: "health", winner: 1 });
+    });
+
+    it("then on ground gained", () => {
+      const game = new Game(ruleset);
+      hold(game);
+      // the opening advance moved the right player forward a tile
+      expect(game.outcome()).toMatchObject({ reason: "position", winner: 1 });
+    });
+
+    it("otherwise is a draw", () => {
+      const game = new Game(ruleset);
+      game.applyMoves(new Command(0, "Advance"), new Command(0, "Hold"));
+      expect(game.outcome()).toEqual({
+        result: "draw",
+        reason: "turnLimit",
+        winner: null,
+      });
+    });
+
+    it("never ends without a limit", () => {
+      const game = new Game(parseRuleset({ turnLimit: null }));
+      for (let i = 0; i < 50; i++) {
+        game.applyMoves(new Command(0, "Hold"), new Command(0, "Hold"));
+        game.applyMoves(new Command(1, "Hold"), new Command(1, "Hold"));
+      }
+      expect(game.outcome()).toBe(null);
+    });
+  });
+});
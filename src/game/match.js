@@ -0,0 +1,164 @@
+/**
+ * Match
+ *
+ * Plays a best-of-N series of rounds on top of a single Game, which is reset
+ * between rounds so anything holding on to it keeps working.
+ *
+ * Listeners get these events:
+ * roundEnd - { round, outcome, scores }
+ * matchEnd - { winner, scores } winner is null for a drawn match
+ * roundStart - { round, scores }
+ * roundReopened - { round, scores } the turn that ended the round was undone
+ */
+import { Game } from "./game.js";
+import { classicRuleset } from "./ruleset.js";
+
+class Match {
+  constructor(ruleset = classicRuleset) {
+    this.ruleset = ruleset;
+    this.game = new Game(ruleset);
+    this.listeners = [];
+    this.reset();
+  }
+
+  // a new match may change the ruleset, e.g. to pick other fighters
+  reset(ruleset = this.ruleset) {
+    this.ruleset = ruleset;
+    this.game.ruleset = ruleset;
+    this.game.reset();
+    this.round = 1;
+    this.rounds = [];
+    this.scores = [0, 0];
+    this.roundOutcome = null;
+    this.emit({ type: "roundStart", round: this.round, scores: [0, 0] });
+  }
+
+  subscribe(listener) {
+    this.listeners.push(listener);
+  }
+
+  emit(event) {
+    this.listeners.forEach((l) => l(event));
+  }
+
+  winsNeeded() {
+    return Math.floor(this.ruleset.bestOf / 2) + 1;
+  }
+
+  // null until the match is decided
+  result() {
+    const winner = this.scores.findIndex((s) => s >= this.winsNeeded());
+    if (winner >= 0) {
+      return { winner: winner };
+    }
+    if (this.rounds.length < this.ruleset.bestOf) {
+      return null;
+    }
+    // drawn rounds used up the match
+    if (this.scores[0] === this.scores[1]) {
+      return { winner: null };
+    }
+    return { winner: this.scores[0] > this.scores[1] ? 0 : 1 };
+  }
+
+  applyMoves(first, second) {
+    if (this.roundOutcome) {
+      return false;
+    }
+    if (!this.game.applyMoves(first, second)) {
+      return false;
+    }
+    const outcome = this.game.outcome();
+    if (outcome) {
+      this.endRound(outcome);
+    }
+    return true;
+  }
+
+  endRound(outcome) {
+    this.roundOutcome = outcome;
+    this.rounds.push(outcome);
+    if (outcome.winner !== null) {
+      this.scores[outcome.winner] += 1;
+    }
+    this.emit({
+      type: "roundEnd",
+      round: this.round,
+      outcome: outcome,
+      scores: [...this.scores],
+    });
+    const result = this.result();
+    if (result) {
+      this.emit({
+        type: "matchEnd",
+        winner: result.winner,
+        scores: [...this.scores],
+      });
+    }
+  }
+
+  nextRound() {
+    if (!this.roundOutcome || this.result()) {
+      return false;
+    }
+    this.round += 1;
+    this.roundOutcome = null;
+    this.game.reset();
+    this.emit({
+      type: "roundStart",
+      round: this.round,
+      scores: [...this.scores],
+    });
+    return true;
+  }
+
+  // stepping back over the turn that ended the round takes its result away
+  reopenRound() {
+    const outcome = this.rounds.pop();
+    if (outcome.winner !== null) {
+      this.scores[outcome.winner] -= 1;
+    }
+    this.roundOutcome = null;
+    this.emit({
+      type: "roundReopened",
+      round: this.round,
+      scores: [...this.scores],
+    });
+  }
+
+  undo() {
+    if (!this.game.history.length) {
+      return false;
+    }
+    if (this.roundOutcome) {
+      this.reopenRound();
+    }
+    return this.game.undo();
+  }
+
+  redo() {
+    if (this.roundOutcome || !this.game.redo()) {
+      return false;
+    }
+    const outcome = this.game.outcome();
+    if (outcome) {
+      this.endRound(outcome);
+    }
+    return true;
+  }
+
+  // same as Game.jumpTo, keeping the round result in step
+  jumpTo(turnIndex) {
+    const game = this.game;
+    if (turnIndex < 0 || turnIndex > game.lastTurn()) {
+      return false;
+    }
+    while (game.history.length > turnIndex) {
+      this.undo();
+    }
+    while (game.history.length < turnIndex && this.redo()) {}
+    return true;
+  }
+}
+
+export { Match };
@@ -0,0 +1,140 @@
+import { describe, expect, it } from "vitest";
+import { Command } from "./game.js";
+import { Match } from "./match.js";
+import { parseRuleset } from "./ruleset.js";
+
+// knock out a player by dropping them to 1 health and landing a hit
+const winRound = (match, winner) => {
+  const loser = (winner + 1) % 2;
+  const game = match.game;
+  game.state.setPlayerStates([
+    { health: 2, position: 1, stance: "high" },
+    { health: 2, position: 4, stance: "high" },
+  ]);
+  game.getPlayer(loser).health = 1;
+  // the opening Advance brings the right player two tiles away
+  const attack = winner === 0 ? "SwitchAttack" : "Hold";
+  match.applyMoves(new Command(0, "Hold"), new Command(0, attack));
+  match.applyMoves(
+    new Command(1, winner === 1 ? "SwitchAttack" : "Hold"),
+    new Command(1, "Hold")
+  );
+};
+
+const record = (match) => {
+  const events = [];
+  match.subscribe((e) => events.push(e));
+  return events;
+};
+
+describe("Match", () => {
+  it("ends a round and keeps score", () => {
+    const match = new Match();
+    const events = record(match);
+    winRound(match, 0);
+
+    expect(match.scores).toEqual([1, 0]);
+    expect(events).toEqual([
+      {
+        type: "roundEnd",
+        round: 1,
+        outcome: { result: "win", reason: "knockout", winner: 0 },
+        scores: [1, 0],
+      },
+    ]);
+    expect(match.result()).toBe(null);
+  });
+
+  it("refuses moves until the next round starts", () => {
+    const match = new Match();
+    winRound(match, 1);
+    expect(
+      match.applyMoves(new Command(0, "Hold"), new Command(0, "Hold"))
+    ).toBe(false);
+  });
+
+  it("reopens the round when the final turn is undone", () => {
+    const match = new Match();
+    const events = record(match);
+    winRound(match, 1);
+
+    expect(match.undo()).toBe(true);
+    expect(match.roundOutcome).toBe(null);
+    expect(match.scores).toEqual([0, 0]);
+    expect(events[events.length - 1]).toEqual({
+      type: "roundReopened",
+      round: 1,
+      scores: [0, 0],
+    });
+
+    expect(match.redo()).toBe(true);
+    expect(match.scores).toEqual([0, 1]);
+    expect(events[events.length - 1].type).toBe("roundEnd");
+  });
+
+  it("jumps through the round keeping the result in step", () => {
+    const match = new Match();
+    winRound(match, 0);
+    expect(match.jumpTo(0)).toBe(true);
+    expect(match.scores).toEqual([0, 0]);
+    expect(match.jumpTo(2)).toBe(true);
+    expect(match.scores).toEqual([1, 0]);
+    expect(match.jumpTo(3)).toBe(false);
+  });
+
+  it("resets the same game between rounds", () => {
+    const match = new Match();
+    const game = match.game;
+    const events = record(match);
+    winRound(match, 1);
+
+    expect(match.nextRound()).toBe(true);
+    expect(match.game).toBe(game);
+    expect(game.history).toEqual([]);
+    expect(game.getPlayer(0).health).toBe(2);
+    expect(match.round).toBe(2);
+    expect(events[events.length - 1]).toEqual({
+      type: "roundStart",
+      round: 2,
+      scores: [0, 1],
+    });
+  });
+
+  it("does not start a round before the current one ends", () => {
+    const match = new Match();
+    expect(match.nextRound()).toBe(false);
+  });
+
+  it("ends the match once a player has enough wins", () => {
+    const match = new Match();
+    const events = record(match);
+    winRound(match, 0);
+    match.nextRound();
+    winRound(match, 0);
+
+    expect(match.result()).toEqual({ winner: 0 });
+    expect(events[events.length - 1]).toEqual({
+      type: "matchEnd",
+      winner: 0,
+      scores: [2, 0],
+    });
+    expect(match.nextRound()).toBe(false);
+  });
+
+  it("draws a match when drawn rounds run it out", () => {
+    const match = new Match(parseRuleset({ bestOf: 1, turnLimit: 1 }));
+    match.applyMoves(new Command(0, "Advance"), new Command(0, "Hold"));
+    expect(match.roundOutcome).toMatchObject({ result: "draw" });
+    expect(match.scores).toEqual([0, 0]);
+    expect(match.result()).toEqual({ winner: null });
+  });
+
+  it("starts over on reset", () => {
+    const match = new Match();
+    winRound(match, 0);
+    match.reset();
+    expect(match.scores).toEqual([0, 0]);
+    expect(match.round).toBe(1);
+    expect(match.roundOutcome).toBe(null);
+  });
+});
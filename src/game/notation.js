@@ -0,0 +1,297 @@
+/**
+ * Game Notation
+ *
+ * A plain text form of a whole game, modelled on chess PGN, for pasting into
+ * chat and bug reports and for test fixtures:
+ *
+ *   [Ruleset "Classic"]
+ *   [Result "*"]
+ *
+ *   1. A (A) 2. S! {the opening trade} A 3. C H 4. .. S *
+ *
+ * Tags - [Name "value"] lines before the moves. Ruleset and Result are
+ *   always written, and Fighters ("spearman ronin", left then right) when
+ *   the players picked fighters. Anything else is kept as it was.
+ * Turns - the turn number, then the left and the right move that resolved
+ *   on that turn. A move is written as its letter (A Advance, C Charge,
+ *   R Retreat, S SwitchAttack, B Block, P Parry, F Feint, H Hold, D Dash)
+ *   or, for moves without one, its full name.
+ * (A) - the opening move Game queues for the right player, which nobody
+ *   chose. It may also be written without the brackets.
+ * .. - the slot of the player still to move in an unfinished turn. The other
+ *   slot is the move the waiting player has queued.
+ * Annotations - a move may be followed by a glyph (! ? !! ?? !? ?!) and then
+ *   by a {comment}.
+ * Result - 1-0 left won, 0-1 right won, 1/2-1/2 a draw, * still playing.
+ */
+import { allMoves, classicRuleset } from "./ruleset.js";
+import { withFighters } from "./fighters.js";
+import {
+  FORMAT_VERSION,
+  deserializeGame,
+  serializeGame,
+} from "./serialization.js";
+
+const letters = {
+  Advance: "A",
+  Charge: "C",
+  Retreat: "R",
+  SwitchAttack: "S",
+  Block: "B",
+  Parry: "P",
+  Feint: "F",
+  Hold: "H",
+  Dash: "D",
+};
+
+const glyphs = ["!!", "??", "!?", "?!", "!", "?"];
+
+const moveToken = (name) => {
+  if (letters[name]) {
+    return letters[name];
+  }
+  if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) {
+    throw new Error(`Move ${name} can't be written in notation`);
+  }
+  return name;
+};
+
+const tokenMove = (ruleset, token) => {
+  const known = allMoves(ruleset).map((m) => m.name);
+  const lettered = Object.keys(letters).find(
+    (name) => letters[name] === token && known.includes(name)
+  );
+  const name = lettered ?? token;
+  if (!known.includes(name)) {
+    throw new Error(`Unknown move ${token}`);
+  }
+  return name;
+};
+
+const resultToken = (outcome) => {
+  if (!outcome) {
+    return "*";
+  }
+  if (outcome.winner === null) {
+    return "1/2-1/2";
+  }
+  return outcome.winner === 0 ? "1-0" : "0-1";
+};
+
+const quote = (value) => `"${String(value).replace(/["\\]/g, "\\$&")}"`;
+
+// Puts line breaks between tokens so no line is much longer than width.
+const wrap = (tokens, width = 80) =>
+  tokens
+    .reduce((lines, token) => {
+      const last = lines[lines.length - 1];
+      if (last && last.length + token.length + 1 <= width) {
+        lines[lines.length - 1] = `${last} ${token}`;
+      } else {
+        lines.push(token);
+      }
+      return lines;
+    }, [])
+    .join("\n");
+
+// annotations is a list of { turn, playerIndex, glyph, comment }, with turn
+// counted from 1 like the notation. reveals opens committed moves, as in
+// serializeGame.
+const exportNotation = (
+  game,
+  { tags = {}, annotations = [], reveals = new Map() } = {}
+) => {
+  const doc = serializeGame(game, reveals);
+  const { ruleset } = game;
+  const result = resultToken(game.outcome());
+  const header = {
+    Ruleset: ruleset.name,
+    ...(ruleset.fighters
+      ? { Fighters: ruleset.fighters.map((f) => f.name).join(" ") }
+      : {}),
+    ...tags,
+    Result: result,
+  };
+
+  const annotate = (token, turn, playerIndex) => {
+    const note = annotations.find(
+      (a) => a.turn === turn && a.playerIndex === playerIndex
+    );
+    if (!note) {
+      return [token];
+    }
+    const glyph = note.glyph ?? "";
+    return note.comment
+      ? [token + glyph, `{${note.comment}}`]
+      : [token + glyph];
+  };
+  const slot = (move, turn, playerIndex) => {
+    const token = moveToken(move);
+    const implicit = turn === 1 && playerIndex === 1 ? `(${token})` : token;
+    return annotate(implicit, turn, playerIndex);
+  };
+
+  const tokens = [];
+  doc.turns.forEach((moves, i) => {
+    tokens.push(`${i + 1}.`);
+    moves.forEach((move, j) => tokens.push(...slot(move, i + 1, j)));
+  });
+  if (!game.outcome()) {
+    tokens.push(`${doc.turns.length + 1}.`);
+    doc.nextCommands.forEach((command, j) => {
+      if (command === null) {
+        tokens.push("..");
+      } else if (command.move === undefined) {
+        throw new Error("A game with a hidden move can't be written down");
+      } else {
+        tokens.push(...slot(command.move, doc.turns.length + 1, j));
+      }
+    });
+  }
+  tokens.push(result);
+
+  const tagLines = Object.entries(header).map(
+    ([name, value]) => `[${name} ${quote(value)}]`
+  );
+  return `${tagLines.join("\n")}\n\n${wrap(tokens)}\n`;
+};
+
+const tagPattern = /^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]$/;
+const tokenPattern =
+  /\{[^}]*\}|\d+\.|1-0|0-1|1\/2-1\/2|\*|\.\.|\(?[A-Za-z][A-Za-z0-9_]*\)?(?:!!|\?\?|!\?|\?!|!|\?)?|\S+/g;
+
+const readTags = (lines) => {
+  const tags = {};
+  lines.forEach((line) => {
+    const match = line.match(tagPattern);
+    if (!match) {
+      throw new Error(`Bad tag ${line}`);
+    }
+    tags[match[1]] = match[2].replace(/\\(.)/g, "$1");
+  });
+  return tags;
+};
+
+// Reads notation back into a new Game, using whichever of rulesets the
+// Ruleset tag names, or the first one without a tag.
+// Returns { game, tags, annotations }.
+const importNotation = (text, rulesets = [classicRuleset]) => {
+  const lines = text.split(/\r?\n/).map((line) => line.trim());
+  const tagLines = lines.filter((line) => line.startsWith("["));
+  const moveText = lines.filter((line) => !line.startsWith("[")).join(" ");
+  const tags = readTags(tagLines);
+  const base =
+    tags.Ruleset === undefined
+      ? rulesets[0]
+      : rulesets.find((r) => r.name === tags.Ruleset);
+  if (!base) {
+    throw new Error(`Unknown ruleset ${tags.Ruleset}`);
+  }
+  const ruleset = tags.Fighters
+    ? withFighters(base, tags.Fighters.split(/\s+/))
+    : base;
+
+  const tokens = moveText.match(tokenPattern) ?? [];
+  const turns = [];
+  const annotations = [];
+  let nextCommands = null;
+  let result = null;
+  let i = 0;
+  const readSlot = (turn, playerIndex) => {
+    const token = tokens[i++];
+    if (token === undefined) {
+      throw new Error(`Turn ${turn} is missing a move`);
+    }
+    if (token === "..") {
+      return null;
+    }
+    const glyph = glyphs.find((g) => token.endsWith(g)) ?? null;
+    let body = glyph ? token.slice(0, -glyph.length) : token;
+    const implicit = body.startsWith("(") && body.endsWith(")");
+    if (implicit) {
+      body = body.slice(1, -1);
+    }
+    const move = tokenMove(ruleset, body);
+    if (implicit && (turn !== 1 || playerIndex !== 1)) {
+      throw new Error(`Only the opening move is implicit, not ${token}`);
+    }
+    let comment = null;
+    if (tokens[i] && tokens[i].startsWith("{")) {
+      comment = tokens[i++].slice(1, -1).trim();
+    }
+    if (glyph || comment) {
+      annotations.push({
+        turn: turn,
+        playerIndex: playerIndex,
+        glyph: glyph,
+        comment: comment,
+      });
+    }
+    return move;
+  };
+
+  while (i < tokens.length) {
+    const token = tokens[i++];
+    if (["1-0", "0-1", "1/2-1/2", "*"].includes(token)) {
+      result = token;
+      break;
+    }
+    if (nextCommands) {
+      throw new Error("Expected the result after an unfinished turn");
+    }
+    const turn = turns.length + 1;
+    if (token !== `${turn}.`) {
+      throw new Error(`Expected turn ${turn} but found ${token}`);
+    }
+    const moves = [readSlot(turn, 0), readSlot(turn, 1)];
+    const missing = moves.filter((m) => m === null).length;
+    if (missing === 2) {
+      throw new Error(`Turn ${turn} has no moves`);
+    }
+    if (missing === 1) {
+      nextCommands = moves.map((move, j) =>
+        move === null ? null : { playerIndex: j, move: move }
+      );
+    } else {
+      turns.push(moves);
+    }
+  }
+  if (i < tokens.length) {
+    throw new Error(`Unexpected ${tokens[i]} after the result`);
+  }
+  const opening = turns.length ? turns[0][1] : nextCommands?.[1]?.move;
+  if (opening !== undefined && opening !== ruleset.openingMove) {
+    throw new Error(`The opening move must be ${ruleset.openingMove}`);
+  }
+
+  // Without a .. turn the waiting player gets a placeholder move, which is
+  // only right for a finished game or one that hasn't started.
+  const active = turns.length % 2;
+  const placeholder = [null, null];
+  placeholder[(active + 1) % 2] = {
+    playerIndex: (active + 1) % 2,
+    move: ruleset.openingMove,
+  };
+  const game = deserializeGame({
+    version: FORMAT_VERSION,
+    ruleset: ruleset,
+    turns: turns,
+    nextCommands: nextCommands ?? placeholder,
+    future: [],
+  });
+  if (!nextCommands && turns.length && !game.outcome()) {
+    throw new Error("An unfinished game needs its waiting move, like 4. .. A");
+  }
+  const played = resultToken(game.outcome());
+  if (result !== null && result !== played) {
+    throw new Error(`Game says ${result} but the moves give ${played}`);
+  }
+  if (tags.Result !== undefined && tags.Result !== played) {
+    throw new Error(
+      `Result tag says ${tags.Result} but the moves give ${played}`
+    );
+  }
+  return { game: game, tags: tags, annotations: annotations };
+};
+
+export { exportNotation, importNotation };
@@ -0,0 +1,135 @@
+import { describe, expect, it } from "vitest";
+import { chooseMoves } from "./ai.js";
+import { Command, Game } from "./game.js";
+import { exportNotation, importNotation } from "./notation.js";
+import { classicRuleset, parseRuleset } from "./ruleset.js";
+
+const seeded = (seed) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return seed / 2147483647;
+};
+
+const playOut = (game = new Game()) => {
+  const random = seeded(11);
+  while (!game.outcome()) {
+    game.applyMoves(...chooseMoves(game, "easy", random));
+  }
+  return game;
+};
+
+const states = (game) => ({
+  players: game.state.getPlayerStates(),
+  history: game.history,
+  nextCommands: game.nextCommands,
+});
+
+describe("exportNotation", () => {
+  it("writes turns, the implicit opening and the result", () => {
+    const game = new Game();
+    game.applyMoves(new Command(0, "Advance"), new Command(0, "SwitchAttack"));
+    game.applyMoves(new Command(1, "Charge"), new Command(1, "Retreat"));
+    expect(exportNotation(game)).toBe(
+      '[Ruleset "Classic"]\n[Result "*"]\n\n1. A (A) 2. S C 3. .. R *\n'
+    );
+  });
+
+  it("writes a game that hasn't started", () => {
+    expect(exportNotation(new Game())).toContain("1. .. (A) *");
+  });
+
+  it("writes annotations and extra tags", () => {
+    const game = new Game();
+    game.applyMoves(new Command(0, "Hold"), new Command(0, "Block"));
+    const text = exportNotation(game, {
+      tags: { Left: 'Ann "the blade"' },
+      annotations: [
+        { turn: 1, playerIndex: 0, glyph: "?!", comment: "too careful" },
+      ],
+    });
+    expect(text).toContain('[Left "Ann \\"the blade\\""]');
+    expect(text).toContain("1. H?! {too careful} (A) 2. B .. *");
+  });
+
+  it("ends a finished game with its result", () => {
+    const game = playOut();
+    const { winner } = game.outcome();
+    const result = winner === null ? "1/2-1/2" : ["1-0", "0-1"][winner];
+    const text = exportNotation(game);
+    expect(text).toContain(`[Result "${result}"]`);
+    expect(text.trimEnd().endsWith(` ${result}`)).toBe(true);
+    text.split("\n").forEach((line) => expect(line.length).toBeLessThan(81));
+  });
+
+  it("refuses to write a hidden move", () => {
+    const game = new Game();
+    game.applyMoves(new Command(0, "Hold"), { playerIndex: 0, hash: "ab" });
+    expect(() => exportNotation(game)).toThrow();
+    const reveals = new Map([["ab", { playerIndex: 0, move: "Feint" }]]);
+    expect(exportNotation(game, { reveals: reveals })).toContain("2. F ..");
+  });
+});
+
+describe("importNotation", () => {
+  it("reads back what it writes", () => {
+    const game = playOut();
+    const { game: loaded } = importNotation(exportNotation(game));
+    expect(states(loaded)).toEqual(states(game));
+
+    const unfinished = new Game();
+    unfinished.applyMoves(new Command(0, "Charge"), new Command(0, "Parry"));
+    const { game: resumed } = importNotation(exportNotation(unfinished));
+    expect(states(resumed)).toEqual(states(unfinished));
+  });
+
+  it("reads hand written games", () => {
+    const { game, tags, annotations } = importNotation(`
+      [Event "Friday duel"]
+      1. Advance A 2. S! {opens with a swing} C
+      3. .. R *
+    `);
+    expect(tags).toEqual({ Event: "Friday duel" });
+    expect(
+      game.history.map(([commands]) => commands.map((c) => c.move))
+    ).toEqual([
+      ["Advance", "Advance"],
+      ["SwitchAttack", "Charge"],
+    ]);
+    expect(game.nextCommands[1].move).toBe("Retreat");
+    expect(annotations).toEqual([
+      { turn: 2, playerIndex: 0, glyph: "!", comment: "opens with a swing" },
+    ]);
+  });
+
+  it("uses full names for moves without a letter", () => {
+    const ruleset = parseRuleset({
+      name: "Lunge",
+      moves: [
+        { name: "Advance", offset: 1 },
+        { name: "Lunge", offset: 1, attack: true },
+      ],
+    });
+    const game = new Game(ruleset);
+    game.applyMoves(new Command(0, "Lunge"), new Command(0, "Advance"));
+    const text = exportNotation(game);
+    expect(text).toContain("1. Lunge (A) 2. A .. *");
+    expect(
+      states(importNotation(text, [classicRuleset, ruleset]).game)
+    ).toEqual(states(game));
+  });
+
+  it("rejects notation that doesn't add up", () => {
+    const bad = [
+      "1. A C *", // the opening must be Advance
+      "2. A (A) *", // turn numbers start at 1
+      "1. A (A) 2. (S) C *", // only the opening is implicit
+      "1. A (A) 2. X C *", // no such move
+      "1. A (A) *", // the waiting move is missing
+      "1. .. (A) 2. A (A) *", // moves after an unfinished turn
+      "1. A (A) 1-0", // nobody has won
+      '[Result "1-0"]\n1. .. (A) *', // the tag disagrees
+      "1. A (A) 2. .. S * 3.", // nothing after the result
+      '[Ruleset "Long Arena"]\n1. .. (A) *',
+    ];
+    bad.forEach((text) => expect(() => importNotation(text)).toThrow());
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Replays
+ *
+ * A replay is a finished round saved as a JSON file:
+ * version - REPLAY_VERSION
+ * ruleset - the full ruleset the round was played with
+ * round - which round of the match it was
+ * turns - the moves of every resolved turn, as [left, right] move names
+ * outcome - how the round ended, as returned by Game.outcome
+ * savedAt - when the replay was made, as an ISO date
+ *
+ * ReplayPlayer feeds the turns back through Game.applyMoves, so watching a
+ * replay runs the same rules the round was played with.
+ */
+import { Command, Game } from "./game.js";
+import { findPlayerMove, parseRuleset } from "./ruleset.js";
+
+const REPLAY_VERSION = 1;
+
+const createReplay = (game, round = 1) => {
+  const outcome = game.outcome();
+  if (!outcome) {
+    throw new Error("Only a finished game can be saved as a replay");
+  }
+  return {
+    version: REPLAY_VERSION,
+    ruleset: game.ruleset,
+    round: round,
+    turns: game.history.map(([commands]) => commands.map((c) => c.move)),
+    outcome: outcome,
+    savedAt: new Date().toISOString(),
+  };
+};
+
+// The moves the active player submitted on turn index: the move resolving
+// now and the move they queue for the turn after.
+const submittedMoves = (replay, index) => {
+  const activePlayer = index % 2;
+  const next = replay.turns[index + 1];
+  // nothing is played after the last turn, so any queued move will do
+  const queued = next ? next[activePlayer] : replay.ruleset.openingMove;
+  return [
+    new Command(activePlayer, replay.turns[index][activePlayer]),
+    new Command(activePlayer, queued),
+  ];
+};
+
+// Accepts a replay or its JSON text, and checks it plays out as recorded.
+const parseReplay = (data) => {
+  const replay = typeof data === "string" ? JSON.parse(data) : data;
+  if (typeof replay !== "object" || replay === null) {
+    throw new Error("Replay must be an object");
+  }
+  if (replay.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version ${replay.version}`);
+  }
+  const ruleset = parseRuleset(replay.ruleset);
+  if (!Array.isArray(replay.turns) || !replay.turns.length) {
+    throw new Error("Replay has no turns");
+  }
+  replay.turns.forEach((moves) => {
+    if (!Array.isArray(moves) || moves.length !== 2) {
+      throw new Error("Replay turns must be pairs of moves");
+    }
+    moves.forEach((move, i) => {
+      if (!findPlayerMove(ruleset, i, move)) {
+        throw new Error(`Replay move ${move} is not in the ruleset`);
+      }
+    });
+  });
+  const parsed = {
+    version: REPLAY_VERSION,
+    ruleset: ruleset,
+    round: replay.round ?? 1,
+    turns: replay.turns.map((moves) => [...moves]),
+    outcome: replay.outcome,
+    savedAt: replay.savedAt ?? null,
+  };
+
+  const game = new Game(ruleset);
+  parsed.turns.forEach((moves, i) => {
+    if (!game.applyMoves(...submittedMoves(parsed, i))) {
+      throw new Error(`Replay turn ${i + 1} is played after the game ended`);
+    }
+    const played = game.history[i][0].map((c) => c.move);
+    if (played.some((move, j) => move !== moves[j])) {
+      throw new Error(`Replay turn ${i + 1} doesn't follow the last turn`);
+    }
+  });
+  if (JSON.stringify(game.outcome()) !== JSON.stringify(parsed.outcome)) {
+    throw new Error("Replay doesn't end the way it says it does");
+  }
+  return parsed;
+};
+
+// Steps through a replay on its own Game. update is given the frame's scaled
+// delta time, so the game's time speed also sets the replay speed.
+class ReplayPlayer {
+  constructor(replay, turnDuration = 1) {
+    this.replay = replay;
+    this.game = new Game(replay.ruleset);
+    this.turnDuration = turnDuration;
+    this.playing = false;
+    // time since the last turn was shown
+    this.elapsed = 0;
+  }
+
+  length() {
+    return this.replay.turns.length;
+  }
+
+  turn() {
+    return this.game.history.length;
+  }
+
+  atEnd() {
+    return this.turn() >= this.length();
+  }
+
+  play() {
+    if (this.atEnd()) {
+      this.seek(0);
+    }
+    this.playing = true;
+    this.elapsed = 0;
+  }
+
+  pause() {
+    this.playing = false;
+  }
+
+  toggle() {
+    if (this.playing) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  step() {
+    if (this.atEnd()) {
+      return false;
+    }
+    return this.game.applyMoves(...submittedMoves(this.replay, this.turn()));
+  }
+
+  stepBack() {
+    return this.game.undo();
+  }
+
+  // turn is the number of resolved turns to show, like Game.jumpTo
+  seek(turn) {
+    const target = Math.max(0, Math.min(turn, this.length()));
+    if (target === this.turn()) {
+      return false;
+    }
+    while (this.turn() > target) {
+      this.stepBack();
+    }
+    while (this.turn() < target) {
+      this.step();
+    }
+    return true;
+  }
+
+  // returns true when a new turn is showing
+  update(deltaTime) {
+    if (!this.playing) {
+      return false;
+    }
+    this.elapsed += deltaTime;
+    if (this.elapsed < this.turnDuration) {
+      return false;
+    }
+    this.elapsed -= this.turnDuration;
+    const stepped = this.step();
+    if (this.atEnd()) {
+      this.pause();
+    }
+    return stepped;
+  }
+}
+
+export { REPLAY_VERSION, createReplay, parseReplay, ReplayPlayer };
@@ -0,0 +1,130 @@
+import { describe, expect, it } from "vitest";
+import { chooseMoves } from "./ai.js";
+import { Command, Game } from "./game.js";
+import { parseRuleset } from "./ruleset.js";
+import { ReplayPlayer, createReplay, parseReplay } from "./replay.js";
+
+// the same random moves every run
+const seeded = (seed) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return seed / 2147483647;
+};
+
+const playOut = (game = new Game()) => {
+  const random = seeded(7);
+  while (!game.outcome()) {
+    game.applyMoves(...chooseMoves(game, "easy", random));
+  }
+  return game;
+};
+
+describe("createReplay", () => {
+  it("saves the moves and outcome of a finished game", () => {
+    const game = playOut();
+    const replay = createReplay(game, 2);
+    expect(replay.round).toBe(2);
+    expect(replay.turns.length).toBe(game.history.length);
+    expect(replay.turns[0]).toEqual([game.history[0][0][0].move, "Advance"]);
+    expect(replay.outcome).toEqual(game.outcome());
+  });
+
+  it("refuses a game that is still going", () => {
+    const game = new Game();
+    game.applyMoves(new Command(0, "Advance"), new Command(0, "Hold"));
+    expect(() => createReplay(game)).toThrow();
+  });
+});
+
+describe("parseReplay", () => {
+  it("reads its own JSON", () => {
+    const replay = createReplay(playOut());
+    expect(parseReplay(JSON.stringify(replay))).toEqual(replay);
+  });
+
+  it("keeps custom rulesets", () => {
+    const game = playOut(new Game(parseRuleset({ health: 1 })));
+    const replay = parseReplay(JSON.stringify(createReplay(game)));
+    expect(replay.ruleset.health).toBe(1);
+  });
+
+  it("rejects replays that don't play out as recorded", () => {
+    const replay = createReplay(playOut());
+    expect(() => parseReplay({ ...replay, version: 2 })).toThrow();
+    expect(() => parseReplay({ ...replay, turns: [] })).toThrow();
+    expect(() =>
+      parseReplay({ ...replay, turns: [["Advance", "Teleport"]] })
+    ).toThrow();
+    expect(() =>
+      parseReplay({ ...replay, turns: replay.turns.slice(0, -1) })
+    ).toThrow();
+    expect(() =>
+      parseReplay({ ...replay, turns: [...replay.turns, ["Hold", "Hold"]] })
+    ).toThrow();
+    // the right player can't change the move they queued
+    const turns = replay.turns.map((t) => [...t]);
+    turns[0][1] = "Hold";
+    expect(() => parseReplay({ ...replay, turns: turns })).toThrow();
+  });
+});
+
+describe("ReplayPlayer", () => {
+  const original = playOut();
+  const replay = createReplay(original);
+
+  it("plays back the same turns", () => {
+    const player = new ReplayPlayer(replay);
+    while (player.step());
+    expect(player.turn()).toBe(replay.turns.length);
+    expect(player.game.state.getPlayerStates()).toEqual(
+      original.state.getPlayerStates()
+    );
+    expect(player.game.history.map(([, deltas]) => deltas.events)).toEqual(
+      original.history.map(([, deltas]) => deltas.events)
+    );
+    expect(player.step()).toBe(false);
+  });
+
+  it("steps back and scrubs", () => {
+    const player = new ReplayPlayer(replay);
+    expect(player.stepBack()).toBe(false);
+    player.seek(3);
+    expect(player.turn()).toBe(3);
+    player.stepBack();
+    expect(player.turn()).toBe(2);
+    const other = new ReplayPlayer(replay);
+    other.step();
+    other.step();
+    expect(player.game.state.getPlayerStates()).toEqual(
+      other.game.state.getPlayerStates()
+    );
+    player.seek(1000);
+    expect(player.atEnd()).toBe(true);
+    expect(player.seek(-5)).toBe(true);
+    expect(player.turn()).toBe(0);
+  });
+
+  it("advances a turn for every turnDuration while playing", () => {
+    const player = new ReplayPlayer(replay, 1);
+    expect(player.update(5)).toBe(false);
+    player.play();
+    expect(player.update(0.5)).toBe(false);
+    expect(player.update(0.5)).toBe(true);
+    expect(player.turn()).toBe(1);
+    // a paused game has no time passing
+    expect(player.update(0)).toBe(false);
+    player.pause();
+    expect(player.update(1)).toBe(false);
+    expect(player.turn()).toBe(1);
+  });
+
+  it("stops at the end and restarts from the beginning", () => {
+    const player = new ReplayPlayer(replay);
+    player.seek(player.length() - 1);
+    player.play();
+    expect(player.update(1)).toBe(true);
+    expect(player.playing).toBe(false);
+    player.play();
+    expect(player.turn()).toBe(0);
+    expect(player.playing).toBe(true);
+  });
+});
@@ -0,0 +1,292 @@
+/**
+ * Rulesets
+ *
+ * Everything that can be balanced lives here instead of in GameState.
+ * A ruleset is plain data, so variants can be written as JSON and loaded
+ * with parseRuleset. The classic ruleset is defaultRuleset below, the
+ * variants in src/rulesets only list what they change from it.
+ *
+ * Move fields:
+ * name - the id sent over the wire and stored in history
+ * label - the text shown on the action button
+ * offset - tiles moved towards the opponent (negative moves away)
+ * attack - attacks the opponent using the current stance
+ * switchStance - swaps high/low at the end of the turn
+ * block - negates a hit from an attack made in the same stance
+ * parry - reflects an attack made at the range of the parrying stance
+ * cost - stamina spent on the move, negative costs regenerate it
+ *
+ * maxStamina - null turns stamina off. Otherwise players start with this
+ * much, pay each move's cost when it resolves and can't choose a move they
+ * can't pay for.
+ *
+ * tiles - the type of every tile from left to right, or null for plain
+ * floor everywhere. The types are in tileTypes:
+ * floor - nothing happens
+ * hazard - a player ending the turn on it takes damage
+ * slippery - a player moving onto it slides on to the next tile, and
+ *   keeps sliding while that one is slippery too
+ * ringOut - moving or being pushed past the edge of the arena loses the
+ * round, instead of stopping at it.
+ *
+ * fighters - optional [left, right] rules for each player, usually made by
+ * withFighters in fighters.js. A fighter has a name, label, model and
+ * texture, and its own health, maxStamina, stance, attackRanges and full
+ * move list, each falling back to the ruleset's. Use playerRules to read
+ * them.
+ */
+
+const defaultRuleset = {
+  name: "Classic",
+  arenaSize: 8,
+  health: 2,
+  // distance from the middle of the arena each player starts at
+  startOffset: 2,
+  stance: "high",
+  attackRanges: { high: 2, low: 1 },
+  openingMove: "Advance",
+  // a round still standing after this many turns is decided on health,
+  // then on ground gained. null plays until someone falls.
+  turnLimit: 30,
+  // rounds in a match
+  bestOf: 3,
+  maxStamina: null,
+  tiles: null,
+  ringOut: false,
+  moves: [
+    {
+      name: "SwitchAttack",
+      label: "Switch Attack",
+      attack: true,
+      switchStance: true,
+      cost: 2,
+    },
+    { name: "Retreat", label: "Retreat", offset: -1, cost: -1 },
+    { name: "Advance", label: "Advance", offset: 1, cost: 1 },
+    { name: "Charge", label: "Charge", offset: 2, cost: 2 },
+    { name: "Block", label: "Block", block: true, cost: 1 },
+    { name: "Parry", label: "Parry", parry: true, cost: 1 },
+    { name: "Feint", label: "Feint", switchStance: true, cost: 1 },
+    { name: "Hold", label: "Hold", cost: -1 },
+  ],
+};
+
+const isInteger = (v) => Number.isInteger(v);
+
+const parseMove = (move) => {
+  if (typeof move !== "object" || move === null) {
+    throw new Error("Ruleset move must be an object");
+  }
+  if (typeof move.name !== "string" || !move.name.length) {
+    throw new Error("Ruleset move is missing a name");
+  }
+  if (move.offset !== undefined && !isInteger(move.offset)) {
+    throw new Error(`Move ${move.name} has a non-integer offset`);
+  }
+  if (move.cost !== undefined && !isInteger(move.cost)) {
+    throw new Error(`Move ${move.name} has a non-integer cost`);
+  }
+  return {
+    name: move.name,
+    label: move.label ?? move.name,
+    offset: move.offset ?? 0,
+    attack: !!move.attack,
+    switchStance: !!move.switchStance,
+    block: !!move.block,
+    parry: !!move.parry,
+    cost: move.cost ?? 0,
+  };
+};
+
+const tileTypes = {
+  floor: { name: "floor", damage: 0, slippery: false },
+  hazard: { name: "hazard", damage: 1, slippery: false },
+  slippery: { name: "slippery", damage: 0, slippery: true },
+};
+
+const parseTiles = (tiles, arenaSize) => {
+  if (tiles === null) {
+    return null;
+  }
+  if (!Array.isArray(tiles) || tiles.length !== arenaSize) {
+    throw new Error("Ruleset tiles must list a type for every tile");
+  }
+  tiles.forEach((type) => {
+    if (!(type in tileTypes)) {
+      throw new Error(`Unknown tile type ${type}`);
+    }
+  });
+  return [...tiles];
+};
+
+const isStamina = (v) => v === null || (isInteger(v) && v >= 1);
+
+// with stamina on, running out must still leave something to play
+const parseStamina = (maxStamina, moves, owner) => {
+  if (!isStamina(maxStamina)) {
+    throw new Error(`${owner} maxStamina must be a positive integer or null`);
+  }
+  if (maxStamina !== null && !moves.some((m) => m.cost <= 0)) {
+    throw new Error(`${owner} needs a move that costs no stamina`);
+  }
+};
+
+const parseMoves = (moves, owner) => {
+  if (!Array.isArray(moves) || !moves.length) {
+    throw new Error(`${owner} must define at least one move`);
+  }
+  const parsed = moves.map(parseMove);
+  const names = new Set(parsed.map((m) => m.name));
+  if (names.size !== parsed.length) {
+    throw new Error(`${owner} move names must be unique`);
+  }
+  return parsed;
+};
+
+const parseAttackRanges = (attackRanges, stance, owner) => {
+  if (!(stance in attackRanges)) {
+    throw new Error(`${owner} has no attack range for stance ${stance}`);
+  }
+  Object.entries(attackRanges).forEach(([name, range]) => {
+    if (!isInteger(range)) {
+      throw new Error(`Attack range for ${name} must be an integer`);
+    }
+  });
+  return attackRanges;
+};
+
+const parseFighter = (fighter, ruleset) => {
+  if (typeof fighter !== "object" || fighter === null) {
+    throw new Error("Ruleset fighters must be objects");
+  }
+  if (typeof fighter.name !== "string" || !fighter.name.length) {
+    throw new Error("Ruleset fighter is missing a name");
+  }
+  const owner = `Fighter ${fighter.name}`;
+  const parsed = {
+    name: fighter.name,
+    label: fighter.label ?? fighter.name,
+    model: fighter.model ?? "samurai",
+    texture: fighter.texture ?? null,
+    health: fighter.health ?? ruleset.health,
+    maxStamina:
+      fighter.maxStamina === undefined
+        ? ruleset.maxStamina
+        : fighter.maxStamina,
+    stance: fighter.stance ?? ruleset.stance,
+    attackRanges: { ...ruleset.attackRanges, ...(fighter.attackRanges ?? {}) },
+    moves: parseMoves(fighter.moves ?? ruleset.moves, owner),
+  };
+  if (!isInteger(parsed.health) || parsed.health < 1) {
+    throw new Error(`${owner} health must be a positive integer`);
+  }
+  parseStamina(parsed.maxStamina, parsed.moves, owner);
+  parseAttackRanges(parsed.attackRanges, parsed.stance, owner);
+  if (!parsed.moves.some((m) => m.name === ruleset.openingMove)) {
+    throw new Error(`${owner} can't play the opening move`);
+  }
+  return parsed;
+};
+
+// Accepts a JSON string or an already parsed object.
+// Missing fields fall back to the default ruleset.
+const parseRuleset = (data) => {
+  const raw = typeof data === "string" ? JSON.parse(data) : data;
+  const ruleset = { ...defaultRuleset, ...raw };
+  ruleset.attackRanges = {
+    ...defaultRuleset.attackRanges,
+    ...(raw.attackRanges ?? {}),
+  };
+
+  if (!isInteger(ruleset.arenaSize) || ruleset.arenaSize < 2) {
+    throw new Error("Ruleset arenaSize must be an integer of at least 2");
+  }
+  if (!isInteger(ruleset.health) || ruleset.health < 1) {
+    throw new Error("Ruleset health must be a positive integer");
+  }
+  if (!isInteger(ruleset.startOffset) || ruleset.startOffset < 0) {
+    throw new Error("Ruleset startOffset must be a non-negative integer");
+  }
+  if (
+    ruleset.turnLimit !== null &&
+    (!isInteger(ruleset.turnLimit) || ruleset.turnLimit < 1)
+  ) {
+    throw new Error("Ruleset turnLimit must be a positive integer or null");
+  }
+  if (!isInteger(ruleset.bestOf) || ruleset.bestOf < 1) {
+    throw new Error("Ruleset bestOf must be a positive integer");
+  }
+  if (typeof ruleset.ringOut !== "boolean") {
+    throw new Error("Ruleset ringOut must be true or false");
+  }
+  ruleset.tiles = parseTiles(ruleset.tiles, ruleset.arenaSize);
+  parseAttackRanges(ruleset.attackRanges, ruleset.stance, "Ruleset");
+
+  ruleset.moves = parseMoves(ruleset.moves, "Ruleset");
+  parseStamina(ruleset.maxStamina, ruleset.moves, "Ruleset");
+  const names = new Set(ruleset.moves.map((m) => m.name));
+  if (!names.has(ruleset.openingMove)) {
+    throw new Error(
+      `Opening move ${ruleset.openingMove} is not in the move list`
+    );
+  }
+
+  if (ruleset.fighters !== undefined) {
+    if (!Array.isArray(ruleset.fighters) || ruleset.fighters.length !== 2) {
+      throw new Error("Ruleset fighters must be a [left, right] pair");
+    }
+    ruleset.fighters = ruleset.fighters.map((f) => parseFighter(f, ruleset));
+  }
+
+  // the start positions have to fit in the arena without overlapping
+  const [left, right] = startPositions(ruleset);
+  if (left < 0 || right > ruleset.arenaSize - 1 || left >= right) {
+    throw new Error("Ruleset start positions do not fit in the arena");
+  }
+  return ruleset;
+};
+
+const startPositions = ({ arenaSize, startOffset }) => {
+  const mid = (arenaSize - 1) / 2;
+  return [Math.floor(mid) - startOffset, Math.ceil(mid) + startOffset];
+};
+
+// the tile type at position, which must be inside the arena
+const tileAt = (ruleset, position) =>
+  tileTypes[ruleset.tiles ? ruleset.tiles[position] : "floor"];
+
+const findMove = (ruleset, name) => ruleset.moves.find((m) => m.name === name);
+
+// the health, stance, attackRanges and moves playerIndex plays with
+const playerRules = (ruleset, playerIndex) =>
+  ruleset.fighters?.[playerIndex] ?? ruleset;
+
+const findPlayerMove = (ruleset, playerIndex, name) =>
+  findMove(playerRules(ruleset, playerIndex), name);
+
+// every move either player can use, the ruleset's first
+const allMoves = (ruleset) => {
+  const moves = [...ruleset.moves];
+  (ruleset.fighters ?? []).forEach((fighter) =>
+    fighter.moves.forEach((move) => {
+      if (!moves.some((m) => m.name === move.name)) {
+        moves.push(move);
+      }
+    })
+  );
+  return moves;
+};
+
+const classicRuleset = parseRuleset(defaultRuleset);
+
+export {
+  classicRuleset,
+  parseRuleset,
+  startPositions,
+  tileTypes,
+  tileAt,
+  findMove,
+  playerRules,
+  findPlayerMove,
+  allMoves,
+};
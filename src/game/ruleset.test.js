@@ -0,0 +1,96 @@
+import { describe, expect, it } from "vitest";
+import { Command, Game, GameState } from "./game.js";
+import { classicRuleset, parseRuleset, startPositions } from "./ruleset.js";
+import longArena from "../rulesets/longArena.json";
+import stamina from "../rulesets/stamina.json";
+import sumo from "../rulesets/sumo.json";
+import firePit from "../rulesets/firePit.json";
+import frozenBridge from "../rulesets/frozenBridge.json";
+
+describe("parseRuleset", () => {
+  it("gives the classic ruleset for an empty variant", () => {
+    expect(parseRuleset({})).toEqual(classicRuleset);
+  });
+
+  it("accepts JSON strings and fills in missing fields", () => {
+    const ruleset = parseRuleset('{ "health": 5 }');
+    expect(ruleset.health).toBe(5);
+    expect(ruleset.arenaSize).toBe(classicRuleset.arenaSize);
+    expect(ruleset.moves).toEqual(classicRuleset.moves);
+  });
+
+  it("parses every shipped variant", () => {
+    expect(() => parseRuleset(longArena)).not.toThrow();
+    expect(parseRuleset(stamina).maxStamina).toBe(4);
+    expect(parseRuleset(sumo).ringOut).toBe(true);
+    expect(parseRuleset(firePit).tiles[0]).toBe("hazard");
+    expect(parseRuleset(frozenBridge).tiles.length).toBe(10);
+  });
+
+  it("rejects broken rulesets", () => {
+    expect(() => parseRuleset({ arenaSize: 1 })).toThrow();
+    expect(() => parseRuleset({ health: 0 })).toThrow();
+    expect(() => parseRuleset({ moves: [] })).toThrow();
+    expect(() => parseRuleset({ startOffset: 4 })).toThrow();
+    expect(() => parseRuleset({ stance: "middle" })).toThrow();
+    expect(() =>
+      parseRuleset({ moves: [{ name: "Hop" }, { name: "Hop" }] })
+    ).toThrow();
+    expect(() => parseRuleset({ openingMove: "Teleport" })).toThrow();
+    expect(() => parseRuleset({ maxStamina: 0 })).toThrow();
+    expect(() => parseRuleset({ tiles: ["floor", "hazard"] })).toThrow();
+    expect(() => parseRuleset({ tiles: Array(8).fill("lava") })).toThrow();
+    expect(() => parseRuleset({ ringOut: "yes" })).toThrow();
+    expect(() =>
+      parseRuleset({ maxStamina: 2, moves: [{ name: "Advance", cost: 1 }] })
+    ).toThrow();
+    expect(() =>
+      parseRuleset({ moves: [{ name: "Advance", cost: 0.5 }] })
+    ).toThrow();
+  });
+});
+
+describe("GameState with a ruleset", () => {
+  const ruleset = parseRuleset(longArena);
+
+  it("builds players from the ruleset", () => {
+    const state = new GameState(ruleset);
+    expect(state.arenaSize).toBe(12);
+    expect(state.players.map((p) => p.position)).toEqual(
+      startPositions(ruleset)
+    );
+    expect(state.players.map((p) => p.position)).toEqual([2, 9]);
+    state.players.forEach((p) => expect(p.health).toBe(3));
+  });
+
+  it("moves by the ruleset offsets", () => {
+    const state = new GameState(ruleset);
+    state.apply([new Command(0, "Charge"), new Command(1, "Retreat")]);
+    expect(state.players.map((p) => p.position)).toEqual([5, 10]);
+  });
+
+  it("attacks with the ruleset ranges", () => {
+    const state = new GameState(ruleset);
+    state.setPlayerStates([
+      { health: 3, position: 2, stance: "high" },
+      { health: 3, position: 5, stance: "high" },
+    ]);
+    state.apply([new Command(0, "SwitchAttack"), new Command(1, "Advance")]);
+    // player 1 advanced into range 2, which is not the high range of 3
+    expect(state.players[1].health).toBe(3);
+    state.apply([new Command(0, "Retreat"), new Command(1, "SwitchAttack")]);
+    expect(state.players[0].health).toBe(2);
+  });
+
+  it("ignores moves that are not in the ruleset", () => {
+    const state = new GameState(ruleset);
+    state.apply([new Command(0, "Teleport"), new Command(1, "Advance")]);
+    expect(state.players.map((p) => p.position)).toEqual([2, 8]);
+  });
+
+  it("seeds the opening move from the ruleset", () => {
+    const game = new Game(parseRuleset({ openingMove: "Retreat" }));
+    expect(game.nextCommands[1].move).toBe("Retreat");
+    expect(game.lastCommand(1).move).toBe("Retreat");
+  });
+});
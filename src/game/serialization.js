@@ -0,0 +1,268 @@
+/**
+ * Saving and Loading
+ *
+ * A saved game is a versioned JSON document:
+ * version - FORMAT_VERSION
+ * ruleset - the full ruleset the game was played with
+ * turns - the moves of every resolved turn, as [left, right] move names
+ * nextCommands - the moves waiting for the next turn, null for the active
+ *   player. A committed move we couldn't open is kept as { playerIndex, hash }
+ * future - turns that can be redone, as [first, second] commands
+ * priorityPlayer
+ * match - { round, scores, rounds } when a Match was saved
+ *
+ * Only commands are stored. Loading replays them, so the states and events
+ * in history always come from the rules rather than from the file.
+ *
+ * Game codes are a compact, URL-safe form of the same thing for sharing a
+ * position: no redo turns, no match, and no hidden moves.
+ */
+import { Command, Game } from "./game.js";
+import {
+  allMoves,
+  classicRuleset,
+  findPlayerMove,
+  parseRuleset,
+} from "./ruleset.js";
+
+const FORMAT_VERSION = 1;
+
+// reveals maps commitment hashes to the moves they hide, so a player can
+// save their own committed moves.
+const openCommand = (command, reveals) => {
+  if (command === null) {
+    return null;
+  }
+  if (typeof command.move === "string") {
+    return { playerIndex: command.playerIndex, move: command.move };
+  }
+  const reveal = reveals.get(command.hash);
+  if (reveal) {
+    return { playerIndex: reveal.playerIndex, move: reveal.move };
+  }
+  return { playerIndex: command.playerIndex, hash: command.hash };
+};
+
+const serializeGame = (game, reveals = new Map()) => ({
+  version: FORMAT_VERSION,
+  ruleset: game.ruleset,
+  turns: game.history.map(([commands]) => commands.map((c) => c.move)),
+  nextCommands: game.nextCommands.map((c) => openCommand(c, reveals)),
+  future: game.future.map((pair) => pair.map((c) => openCommand(c, reveals))),
+  priorityPlayer: game.priorityPlayer,
+});
+
+const serializeMatch = (match, reveals = new Map()) => ({
+  ...serializeGame(match.game, reveals),
+  match: {
+    round: match.round,
+    scores: [...match.scores],
+    rounds: [...match.rounds],
+  },
+});
+
+const readCommand = (ruleset, data, playerIndex) => {
+  if (data === null) {
+    return null;
+  }
+  if (typeof data !== "object" || data.playerIndex !== playerIndex) {
+    throw new Error("Saved command belongs to the wrong player");
+  }
+  if (typeof data.hash === "string") {
+    return { playerIndex: playerIndex, hash: data.hash };
+  }
+  if (!findPlayerMove(ruleset, playerIndex, data.move)) {
+    throw new Error(`Saved move ${data.move} is not in the ruleset`);
+  }
+  return new Command(playerIndex, data.move);
+};
+
+// Replaces everything in game with the saved document.
+const loadGame = (game, doc) => {
+  if (typeof doc !== "object" || doc === null) {
+    throw new Error("Saved game must be an object");
+  }
+  if (doc.version !== FORMAT_VERSION) {
+    throw new Error(`Unsupported save version ${doc.version}`);
+  }
+  const ruleset = parseRuleset(doc.ruleset);
+  if (
+    !Array.isArray(doc.nextCommands) ||
+    doc.nextCommands.length !== 2 ||
+    doc.nextCommands.filter((c) => c === null).length !== 1
+  ) {
+    throw new Error("Saved game must be waiting on exactly one player");
+  }
+  const nextCommands = doc.nextCommands.map((c, i) =>
+    readCommand(ruleset, c, i)
+  );
+  const active = nextCommands.findIndex((c) => c === null);
+  // both moves of a redo turn are its player's, and the players take turns
+  // back from the last one, which the active player redoes next
+  const saved = doc.future ?? [];
+  const future = saved.map((pair, i) => {
+    if (!Array.isArray(pair) || pair.length !== 2) {
+      throw new Error("Saved redo turns must be pairs of moves");
+    }
+    const playerIndex = (active + saved.length - 1 - i) % 2;
+    return pair.map((c) => readCommand(ruleset, c, playerIndex));
+  });
+
+  game.ruleset = ruleset;
+  game.reset();
+  doc.turns.forEach((moves) => {
+    if (game.outcome()) {
+      throw new Error("Saved game has turns after it ended");
+    }
+    const commands = moves.map((move, i) =>
+      readCommand(ruleset, { playerIndex: i, move: move }, i)
+    );
+    const deltas = game.state.apply(commands);
+    game.history.push([commands, deltas]);
+  });
+  if (game.history.length % 2 !== active) {
+    throw new Error("Saved game has the wrong player to move");
+  }
+  game.nextCommands = nextCommands;
+  game.future = future;
+  game.priorityPlayer = doc.priorityPlayer ?? 0;
+  return game;
+};
+
+const deserializeGame = (doc) =>
+  loadGame(new Game(parseRuleset(doc.ruleset)), doc);
+
+// Replaces everything in match, keeping its Game object.
+const loadMatch = (match, doc) => {
+  loadGame(match.game, doc);
+  match.ruleset = match.game.ruleset;
+  const saved = doc.match ?? { round: 1, scores: [0, 0], rounds: [] };
+  match.round = saved.round;
+  match.scores = [...saved.scores];
+  match.rounds = [...saved.rounds];
+  match.roundOutcome = match.game.outcome();
+  if (match.roundOutcome) {
+    match.emit({
+      type: "roundEnd",
+      round: match.round,
+      outcome: match.roundOutcome,
+      scores: [...match.scores],
+    });
+    const result = match.result();
+    if (result) {
+      match.emit({
+        type: "matchEnd",
+        winner: result.winner,
+        scores: [...match.scores],
+      });
+    }
+  } else {
+    match.emit({
+      type: "roundStart",
+      round: match.round,
+      scores: [...match.scores],
+    });
+  }
+  return match;
+};
+
+/**
+ * Game codes
+ */
+
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  const binary = Array.from(bytes, (b) => String.fromCharCode(b)).join("");
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+};
+
+const fromBase64Url = (code) => {
+  const binary = atob(code.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(
+    Uint8Array.from(binary, (c) => c.charCodeAt(0))
+  );
+};
+
+const encodeGameCode = (game, reveals = new Map()) => {
+  const doc = serializeGame(game, reveals);
+  const moves = allMoves(game.ruleset);
+  if (moves.length > 36) {
+    throw new Error("Game codes support at most 36 moves");
+  }
+  // every move is a single base 36 digit
+  const digit = (name) => moves.findIndex((m) => m.name === name).toString(36);
+  const waiting = doc.nextCommands.map((c) => {
+    if (c === null) {
+      return "-";
+    }
+    if (c.move === undefined) {
+      throw new Error("A position with a hidden move can't be shared");
+    }
+    return digit(c.move);
+  });
+  const compact = {
+    v: FORMAT_VERSION,
+    t: doc.turns.map((pair) => pair.map(digit).join("")).join(""),
+    n: waiting.join(""),
+  };
+  // the classic ruleset is left out to keep codes short
+  if (JSON.stringify(game.ruleset) !== JSON.stringify(classicRuleset)) {
+    compact.r = game.ruleset;
+  }
+  return toBase64Url(JSON.stringify(compact));
+};
+
+// returns a saved game document
+const decodeGameCode = (code) => {
+  let compact;
+  try {
+    compact = JSON.parse(fromBase64Url(code));
+  } catch (e) {
+    throw new Error("Not a game code");
+  }
+  if (typeof compact !== "object" || compact === null) {
+    throw new Error("Not a game code");
+  }
+  if (compact.v !== FORMAT_VERSION) {
+    throw new Error(`Unsupported game code version ${compact.v}`);
+  }
+  const ruleset = parseRuleset(compact.r ?? classicRuleset);
+  const name = (digit) => {
+    const move = allMoves(ruleset)[parseInt(digit, 36)];
+    if (!move) {
+      throw new Error(`Game code has an unknown move ${digit}`);
+    }
+    return move.name;
+  };
+  if (typeof compact.t !== "string" || typeof compact.n !== "string") {
+    throw new Error("Game code is missing its moves");
+  }
+  const turns = [];
+  for (let i = 0; i < compact.t.length; i += 2) {
+    turns.push([name(compact.t[i]), name(compact.t[i + 1])]);
+  }
+  return {
+    version: FORMAT_VERSION,
+    ruleset: ruleset,
+    turns: turns,
+    nextCommands: Array.from(compact.n).map((digit, i) =>
+      digit === "-" ? null : { playerIndex: i, move: name(digit) }
+    ),
+    future: [],
+    priorityPlayer: 0,
+  };
+};
+
+export {
+  FORMAT_VERSION,
+  serializeGame,
+  serializeMatch,
+  loadGame,
+  deserializeGame,
+  loadMatch,
+  encodeGameCode,
+  decodeGameCode,
+};
@@ -0,0 +1,165 @@
+import { describe, expect, it } from "vitest";
+import { Command, Game } from "./game.js";
+import { Match } from "./match.js";
+import { parseRuleset } from "./ruleset.js";
+import {
+  decodeGameCode,
+  deserializeGame,
+  encodeGameCode,
+  loadGame,
+  loadMatch,
+  serializeGame,
+  serializeMatch,
+} from "./serialization.js";
+
+const play = (game = new Game()) => {
+  game.applyMoves(new Command(0, "Advance"), new Command(0, "SwitchAttack"));
+  game.applyMoves(new Command(1, "Advance"), new Command(1, "Block"));
+  game.applyMoves(new Command(0, "Charge"), new Command(0, "Hold"));
+  return game;
+};
+
+const snapshot = (game) => ({
+  states: game.state.getPlayerStates(),
+  history: game.history,
+  nextCommands: game.nextCommands,
+  future: game.future,
+  active: game.activePlayer(),
+});
+
+describe("serializeGame", () => {
+  it("round trips through JSON", () => {
+    const game = play();
+    game.undo();
+    const json = JSON.stringify(serializeGame(game));
+    const loaded = deserializeGame(JSON.parse(json));
+    expect(snapshot(loaded)).toEqual(snapshot(game));
+    expect(loaded.redo()).toBe(true);
+  });
+
+  it("stores commands rather than states", () => {
+    const doc = serializeGame(play());
+    expect(doc.version).toBe(1);
+    expect(doc.turns).toEqual([
+      ["Advance", "Advance"],
+      ["SwitchAttack", "Advance"],
+      ["Charge", "Block"],
+    ]);
+    expect(doc.nextCommands).toEqual([{ playerIndex: 0, move: "Hold" }, null]);
+  });
+
+  it("opens committed moves it has the reveal for", () => {
+    const game = new Game();
+    const hidden = { playerIndex: 0, hash: "ab" };
+    game.applyMoves(new Command(0, "Advance"), hidden);
+    expect(serializeGame(game).nextCommands[0]).toEqual(hidden);
+
+    const reveals = new Map([["ab", { playerIndex: 0, move: "Charge" }]]);
+    const doc = serializeGame(game, reveals);
+    expect(doc.nextCommands[0]).toEqual({ playerIndex: 0, move: "Charge" });
+    expect(deserializeGame(doc).awaitingReveal()).toBe(false);
+  });
+
+  it("keeps the ruleset", () => {
+    const game = play(new Game(parseRuleset({ arenaSize: 10 })));
+    expect(deserializeGame(serializeGame(game)).state.arenaSize).toBe(10);
+  });
+});
+
+describe("loadGame", () => {
+  it("loads into an existing game", () => {
+    const game = new Game();
+    const saved = play();
+    expect(loadGame(game, serializeGame(saved))).toBe(game);
+    expect(snapshot(game)).toEqual(snapshot(saved));
+  });
+
+  it("rejects broken documents", () => {
+    const doc = serializeGame(play());
+    expect(() => loadGame(new Game(), { ...doc, version: 2 })).toThrow();
+    expect(() =>
+      loadGame(new Game(), { ...doc, turns: [["Advance", "Teleport"]] })
+    ).toThrow();
+    expect(() =>
+      loadGame(new Game(), { ...doc, nextCommands: [null, null] })
+    ).toThrow();
+    // the waiting move is for the wrong player
+    expect(() =>
+      loadGame(new Game(), { ...doc, turns: doc.turns.slice(1) })
+    ).toThrow();
+  });
+
+  it("rejects redo turns for the wrong player", () => {
+    const game = play();
+    game.undo();
+    game.undo();
+    const doc = serializeGame(game);
+    expect(doc.future.map((pair) => pair[0].playerIndex)).toEqual([0, 1]);
+    const swapped = doc.future.map((pair) =>
+      pair.map((c) => ({ ...c, playerIndex: 1 - c.playerIndex }))
+    );
+    expect(() => loadGame(new Game(), { ...doc, future: swapped })).toThrow(
+      "Saved command belongs to the wrong player"
+    );
+    const reordered = [...doc.future].reverse();
+    expect(() => loadGame(new Game(), { ...doc, future: reordered })).toThrow(
+      "Saved command belongs to the wrong player"
+    );
+    expect(snapshot(loadGame(new Game(), doc))).toEqual(snapshot(game));
+  });
+});
+
+describe("serializeMatch", () => {
+  it("keeps the score and the game object", () => {
+    const match = new Match();
+    play(match.game);
+    match.scores = [1, 0];
+    match.round = 2;
+    match.rounds = [{ result: "win", reason: "knockout", winner: 0 }];
+    const doc = JSON.parse(JSON.stringify(serializeMatch(match)));
+
+    const loaded = new Match();
+    const game = loaded.game;
+    const events = [];
+    loaded.subscribe((e) => events.push(e));
+    loadMatch(loaded, doc);
+    expect(loaded.game).toBe(game);
+    expect(loaded.scores).toEqual([1, 0]);
+    expect(loaded.round).toBe(2);
+    expect(loaded.roundOutcome).toBe(null);
+    expect(events).toEqual([{ type: "roundStart", round: 2, scores: [1, 0] }]);
+  });
+});
+
+describe("game codes", () => {
+  it("are URL safe and round trip", () => {
+    const game = play();
+    const code = encodeGameCode(game);
+    expect(code).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(encodeURIComponent(code)).toBe(code);
+    expect(snapshot(deserializeGame(decodeGameCode(code)))).toEqual({
+      ...snapshot(game),
+      future: [],
+    });
+  });
+
+  it("carry custom rulesets", () => {
+    const game = play(new Game(parseRuleset({ health: 4 })));
+    const loaded = deserializeGame(decodeGameCode(encodeGameCode(game)));
+    expect(loaded.ruleset.health).toBe(4);
+  });
+
+  it("are short for the classic ruleset", () => {
+    expect(encodeGameCode(play()).length).toBeLessThan(40);
+  });
+
+  it("refuse to share a hidden move", () => {
+    const game = new Game();
+    game.applyMoves(new Command(0, "Advance"), { playerIndex: 0, hash: "ab" });
+    expect(() => encodeGameCode(game)).toThrow();
+  });
+
+  it("reject garbage", () => {
+    expect(() => decodeGameCode("not a code")).toThrow();
+  });
+});
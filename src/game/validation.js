@@ -0,0 +1,183 @@
+/**
+ * Event Validation
+ *
+ * The server checks every event a client sends against its own match before
+ * acting on it, so one peer can't corrupt the authoritative game.
+ * validateEvent returns null when the event may be applied, otherwise an
+ * error { code, message } to send back to the sender.
+ *
+ * In a hotseat game both players share the machine the server runs on, so
+ * either of them may step through history. Online nobody may: by the time a
+ * turn could be taken back the other player's committed move has been
+ * revealed, and the turn could be played again knowing it. Without going
+ * back there's nothing to redo either.
+ */
+import { findPlayerMove } from "./ruleset.js";
+import { fighterNames } from "./fighters.js";
+import { isCommitment } from "./commitment.js";
+
+const reject = (code, message) => ({ code: code, message: message });
+
+const validateCommand = (match, command, sender) => {
+  if (typeof command !== "object" || command === null) {
+    return reject("malformedEvent", "Moves must be objects");
+  }
+  if (command.playerIndex !== sender) {
+    return reject("notYourMove", "Moves must be for your own player");
+  }
+  if (!findPlayerMove(match.ruleset, sender, command.move)) {
+    return reject("illegalMove", `${command.move} is not a legal move`);
+  }
+  return null;
+};
+
+// moves are paid for one turn after another, starting from current stamina
+const validateStamina = (match, sender, moves) => {
+  if (!match.game.state.canAfford(sender, moves)) {
+    return reject("exhausted", "Not enough stamina for those moves");
+  }
+  return null;
+};
+
+const validateSelectMove = (match, event, sender) => {
+  const game = match.game;
+  if (match.roundOutcome) {
+    return reject("gameOver", "The round is over");
+  }
+  if (game.activePlayer() !== sender) {
+    return reject("notYourTurn", "It is not your turn");
+  }
+  if (event.turn !== undefined && event.turn !== game.history.length) {
+    return reject("staleTurn", "Those moves were for a different turn");
+  }
+  if (!Array.isArray(event.move) || event.move.length !== 2) {
+    return reject("malformedEvent", "Exactly two moves must be selected");
+  }
+  const [first, second] = event.move;
+  const error = validateCommand(match, first, sender);
+  if (error) {
+    return error;
+  }
+  // the second move is checked when it is revealed
+  if (isCommitment(second)) {
+    if (second.playerIndex !== sender) {
+      return reject("notYourMove", "Moves must be for your own player");
+    }
+    if (!/^[0-9a-f]{64}$/.test(second.hash)) {
+      return reject("malformedEvent", "Commitments must be SHA-256 hashes");
+    }
+    return validateStamina(match, sender, [first.move]);
+  }
+  return (
+    validateCommand(match, second, sender) ??
+    validateStamina(match, sender, [first.move, second.move])
+  );
+};
+
+const validateReveal = (match, event, sender) => {
+  if (!isCommitment(match.game.nextCommands[sender])) {
+    return reject("notAllowed", "You have no committed move to reveal");
+  }
+  const { reveal } = event;
+  if (typeof reveal !== "object" || reveal === null) {
+    return reject("malformedEvent", "Reveals must be objects");
+  }
+  if (typeof reveal.salt !== "string") {
+    return reject("malformedEvent", "Reveals must include their salt");
+  }
+  return (
+    validateCommand(match, reveal, sender) ??
+    validateStamina(match, sender, [reveal.move])
+  );
+};
+
+const validateUndo = (match, hotseat) => {
+  if (!match.game.history.length) {
+    return reject("nothingToUndo", "There is no turn to undo");
+  }
+  if (!hotseat) {
+    return reject("notAllowed", "Turns can't be taken back in online play");
+  }
+  return null;
+};
+
+const validateRedo = (match, hotseat) => {
+  if (!match.game.future.length) {
+    return reject("nothingToRedo", "There is no turn to redo");
+  }
+  if (!hotseat) {
+    return reject("notAllowed", "Turns can't be replayed in online play");
+  }
+  return null;
+};
+
+const validateJump = (match, event, hotseat) => {
+  const { turn } = event;
+  if (!Number.isInteger(turn) || turn < 0 || turn > match.game.lastTurn()) {
+    return reject("malformedEvent", `There is no turn ${turn}`);
+  }
+  // jumping back reopens a finished round, with the other player's moves
+  // in plain sight
+  if (!hotseat) {
+    return reject("notAllowed", "History can't be explored in online play");
+  }
+  return null;
+};
+
+// a new match may pick fighters for both players
+const validateFighters = (fighters) => {
+  if (fighters === undefined) {
+    return null;
+  }
+  if (
+    !Array.isArray(fighters) ||
+    fighters.length !== 2 ||
+    !fighters.every((name) => fighterNames.includes(name))
+  ) {
+    return reject("malformedEvent", "Pick a known fighter for both players");
+  }
+  return null;
+};
+
+const validateEvent = (match, event, sender, hotseat = false) => {
+  if (sender !== 0 && sender !== 1) {
+    return reject("unknownSender", "Events must come from a player");
+  }
+  if (typeof event !== "object" || event === null) {
+    return reject("malformedEvent", "Events must be objects");
+  }
+  switch (event.type) {
+    case "selectMove":
+      return validateSelectMove(match, event, sender);
+    case "revealMove":
+      return validateReveal(match, event, sender);
+    case "undoMove":
+      return validateUndo(match, hotseat);
+    case "redoMove":
+      return validateRedo(match, hotseat);
+    case "pickFighter":
+      if (!fighterNames.includes(event.fighter)) {
+        return reject("malformedEvent", "Pick a known fighter");
+      }
+      return null;
+    case "resyncRequest":
+      // it changes nothing, so anyone may ask at any time
+      return null;
+    case "jumpToTurn":
+      return validateJump(match, event, hotseat);
+    case "nextRound":
+      if (!match.roundOutcome || match.result()) {
+        return reject("notAllowed", "There is no next round to start");
+      }
+      return null;
+    case "newMatch":
+      if (!hotseat && !match.result()) {
+        return reject("notAllowed", "The match is still being played");
+      }
+      return validateFighters(event.fighters);
+    default:
+      return reject("unknownEvent", `Unknown event ${event.type}`);
+  }
+};
+
+export { validateEvent };
@@ -0,0 +1,256 @@
+import { describe, expect, it } from "vitest";
+import { Command } from "./game.js";
+import { withFighters } from "./fighters.js";
+import { Match } from "./match.js";
+import { classicRuleset, parseRuleset } from "./ruleset.js";
+import { validateEvent } from "./validation.js";
+
+const selectMove = (playerIndex, first, second, extra = {}) => ({
+  type: "selectMove",
+  move: [new Command(playerIndex, first), new Command(playerIndex, second)],
+  ...extra,
+});
+
+const code = (match, event, sender, hotseat) =>
+  (validateEvent(match, event, sender, hotseat) ?? { code: null }).code;
+
+// what GameServer does with a history event once it's accepted
+const serve = (match, event, sender, hotseat) => {
+  const error = code(match, event, sender, hotseat);
+  if (!error) {
+    const apply = {
+      undoMove: () => match.undo(),
+      redoMove: () => match.redo(),
+      jumpToTurn: () => match.jumpTo(event.turn),
+    };
+    apply[event.type]();
+  }
+  return error;
+};
+
+// left player wins the round on the second turn
+const openRound = (match) => {
+  match.game.state.setPlayerStates([
+    { health: 2, position: 1, stance: "high" },
+    { health: 1, position: 4, stance: "high" },
+  ]);
+  match.applyMoves(...selectMove(0, "Hold", "SwitchAttack").move);
+};
+const finishRound = (match) => {
+  openRound(match);
+  match.applyMoves(...selectMove(1, "Hold", "Hold").move);
+};
+
+describe("validateEvent", () => {
+  it("accepts a legal move from the active player", () => {
+    const match = new Match();
+    expect(validateEvent(match, selectMove(0, "Advance", "Charge"), 0)).toBe(
+      null
+    );
+    expect(
+      validateEvent(match, selectMove(0, "Advance", "Hold", { turn: 0 }), 0)
+    ).toBe(null);
+  });
+
+  it("rejects events from unknown senders", () => {
+    const match = new Match();
+    expect(code(match, selectMove(0, "Advance", "Charge"), 2)).toBe(
+      "unknownSender"
+    );
+    expect(code(match, null, 0)).toBe("malformedEvent");
+  });
+
+  it("rejects moves out of turn", () => {
+    const match = new Match();
+    expect(code(match, selectMove(1, "Advance", "Charge"), 1)).toBe(
+      "notYourTurn"
+    );
+  });
+
+  it("rejects moves made for the other player", () => {
+    const match = new Match();
+    expect(code(match, selectMove(1, "Advance", "Charge"), 0)).toBe(
+      "notYourMove"
+    );
+  });
+
+  it("rejects moves outside the ruleset", () => {
+    const match = new Match();
+    expect(code(match, selectMove(0, "Teleport", "Charge"), 0)).toBe(
+      "illegalMove"
+    );
+    expect(
+      code(
+        match,
+        { type: "selectMove", move: [selectMove(0, "Hold", "Hold").move[0]] },
+        0
+      )
+    ).toBe("malformedEvent");
+  });
+
+  it("rejects moves for a stale turn", () => {
+    const match = new Match();
+    expect(code(match, selectMove(0, "Advance", "Hold", { turn: 3 }), 0)).toBe(
+      "staleTurn"
+    );
+  });
+
+  it("rejects moves once the round is over", () => {
+    const match = new Match();
+    finishRound(match);
+    expect(code(match, selectMove(0, "Advance", "Hold"), 0)).toBe("gameOver");
+    expect(code(match, { type: "nextRound" }, 1)).toBe(null);
+  });
+
+  it("accepts a commitment in place of the second move", () => {
+    const match = new Match();
+    const event = selectMove(0, "Advance", "Hold");
+    event.move[1] = { playerIndex: 0, hash: "a".repeat(64) };
+    expect(code(match, event, 0)).toBe(null);
+
+    event.move[1] = { playerIndex: 0, hash: "not a hash" };
+    expect(code(match, event, 0)).toBe("malformedEvent");
+    event.move[1] = { playerIndex: 1, hash: "a".repeat(64) };
+    expect(code(match, event, 0)).toBe("notYourMove");
+  });
+
+  it("only accepts reveals of a committed move", () => {
+    const match = new Match();
+    const reveal = (playerIndex, move) => ({
+      type: "revealMove",
+      reveal: { playerIndex: playerIndex, move: move, salt: "00" },
+    });
+    expect(code(match, reveal(1, "Advance"), 1)).toBe("notAllowed");
+
+    match.applyMoves(new Command(0, "Advance"), {
+      playerIndex: 0,
+      hash: "a".repeat(64),
+    });
+    expect(code(match, reveal(0, "Charge"), 0)).toBe(null);
+    expect(code(match, reveal(0, "Teleport"), 0)).toBe("illegalMove");
+    expect(code(match, { type: "revealMove" }, 0)).toBe("malformedEvent");
+  });
+
+  it("only lets turns be taken back in a hotseat game", () => {
+    const match = new Match();
+    expect(code(match, { type: "undoMove" }, 0)).toBe("nothingToUndo");
+    match.applyMoves(...selectMove(0, "Advance", "Hold").move);
+    // player 1's move was revealed, player 0 could play the turn knowing it
+    expect(code(match, { type: "undoMove" }, 0)).toBe("notAllowed");
+    expect(code(match, { type: "undoMove" }, 1)).toBe("notAllowed");
+    expect(code(match, { type: "undoMove" }, 0, true)).toBe(null);
+    expect(code(match, { type: "undoMove" }, 1, true)).toBe(null);
+  });
+
+  it("only lets turns be replayed in a hotseat game", () => {
+    const match = new Match();
+    expect(code(match, { type: "redoMove" }, 0, true)).toBe("nothingToRedo");
+    match.applyMoves(...selectMove(0, "Advance", "Hold").move);
+    match.undo();
+    expect(code(match, { type: "redoMove" }, 0)).toBe("notAllowed");
+    expect(code(match, { type: "redoMove" }, 1)).toBe("notAllowed");
+    expect(code(match, { type: "redoMove" }, 0, true)).toBe(null);
+  });
+
+  it("never moves an online match through its history", () => {
+    const match = new Match();
+    openRound(match);
+    match.applyMoves(...selectMove(1, "Advance", "Hold").move);
+    const history = match.game.history.length;
+    const states = match.game.state.getPlayerStates();
+    const next = [...match.game.nextCommands];
+    const events = [
+      { type: "undoMove" },
+      { type: "redoMove" },
+      { type: "jumpToTurn", turn: 0 },
+      { type: "jumpToTurn", turn: 1 },
+    ];
+    events.forEach((event) =>
+      [0, 1].forEach((sender) =>
+        expect(serve(match, event, sender)).not.toBe(null)
+      )
+    );
+    expect(match.game.history.length).toBe(history);
+    expect(match.game.state.getPlayerStates()).toEqual(states);
+    expect(match.game.nextCommands).toEqual(next);
+  });
+
+  it("only allows jumping through history in a hotseat game", () => {
+    const match = new Match();
+    openRound(match);
+    expect(code(match, { type: "jumpToTurn", turn: 0 }, 0)).toBe("notAllowed");
+    expect(code(match, { type: "jumpToTurn", turn: 0 }, 0, true)).toBe(null);
+    expect(code(match, { type: "jumpToTurn", turn: 5 }, 0, true)).toBe(
+      "malformedEvent"
+    );
+  });
+
+  it("keeps a finished online round finished when either player jumps", () => {
+    const match = new Match();
+    finishRound(match);
+    const outcome = match.roundOutcome;
+    const scores = [...match.scores];
+    expect(outcome).not.toBe(null);
+    [0, 1].forEach((sender) =>
+      expect(serve(match, { type: "jumpToTurn", turn: 1 }, sender)).toBe(
+        "notAllowed"
+      )
+    );
+    expect(match.scores).toEqual(scores);
+    expect(match.roundOutcome).toBe(outcome);
+    expect(code(match, selectMove(0, "Hold", "Hold"), 0)).toBe("gameOver");
+  });
+
+  it("only starts a new match once the current one is decided", () => {
+    const match = new Match();
+    expect(code(match, { type: "newMatch" }, 0)).toBe("notAllowed");
+    expect(code(match, { type: "nextRound" }, 0)).toBe("notAllowed");
+  });
+
+  it("checks moves against the sender's fighter", () => {
+    const match = new Match(
+      withFighters(classicRuleset, ["duelist", "spearman"])
+    );
+    expect(code(match, selectMove(0, "Dash", "Parry"), 0)).toBe(null);
+    match.applyMoves(...selectMove(0, "Hold", "Hold").move);
+    expect(code(match, selectMove(1, "Dash", "Hold"), 1)).toBe("illegalMove");
+    expect(code(match, selectMove(1, "Hold", "Parry"), 1)).toBe("illegalMove");
+  });
+
+  it("rejects moves there isn't stamina for", () => {
+    const match = new Match(parseRuleset({ maxStamina: 3 }));
+    expect(code(match, selectMove(0, "Charge", "Advance"), 0)).toBe(null);
+    expect(code(match, selectMove(0, "Charge", "Charge"), 0)).toBe("exhausted");
+    match.game.state.players[0].stamina = 0;
+    expect(code(match, selectMove(0, "Block", "Hold"), 0)).toBe("exhausted");
+    expect(code(match, selectMove(0, "Hold", "Block"), 0)).toBe(null);
+  });
+
+  it("only starts a new match with known fighters", () => {
+    const match = new Match();
+    const newMatch = (fighters) => ({ type: "newMatch", fighters: fighters });
+    expect(code(match, newMatch(["ronin", "samurai"]), 0, true)).toBe(null);
+    expect(code(match, newMatch(["ronin"]), 0, true)).toBe("malformedEvent");
+    expect(code(match, newMatch(["ronin", "ninja"]), 0, true)).toBe(
+      "malformedEvent"
+    );
+  });
+
+  it("only lets a player pick a known fighter", () => {
+    const match = new Match();
+    const pick = (fighter) => ({ type: "pickFighter", fighter: fighter });
+    expect(code(match, pick("ronin"), 1)).toBe(null);
+    expect(code(match, pick("ninja"), 1)).toBe("malformedEvent");
+  });
+
+  it("lets either player ask for a resync at any time", () => {
+    const match = new Match();
+    finishRound(match);
+    expect(code(match, { type: "resyncRequest", turn: 2 }, 1)).toBe(null);
+    expect(code(match, { type: "resyncRequest" }, 0)).toBe(null);
+  });
+
+  it("rejects unknown events", () => {
+    expect(code(new Match(), { type: "teleport" }, 0)).toBe("unknownEvent");
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Network Settings
+ *
+ * Where the lobby (signaling) server is, and which ICE servers WebRTC may
+ * use to reach the other player. Each setting comes from the first source
+ * that has a valid value for it, in this order:
+ * params - URL parameters, ?signalingUrl=ws://localhost:3000 and
+ *   ?iceServers= with a JSON list or comma separated STUN urls
+ * settings - saved from the settings panel
+ * env - the Vite env variables VITE_SIGNALING_URL and VITE_ICE_SERVERS
+ * default - defaultNetworkConfig
+ *
+ * An ICE server is { urls, username, credential } like RTCPeerConnection
+ * takes them. urls may be a string or a list, and TURN servers need the
+ * username and credential.
+ */
+
+const defaultNetworkConfig = {
+  signalingUrl: "ws://44.202.30.187:3000",
+  iceServers: [{ urls: "stun:stun.l.google.com:19302" }],
+};
+
+const parseSignalingUrl = (value) => {
+  if (typeof value !== "string") {
+    throw new Error("The signaling URL must be a string");
+  }
+  let url;
+  try {
+    url = new URL(value.trim());
+  } catch (e) {
+    throw new Error(`${value} is not a URL`);
+  }
+  if (!["ws:", "wss:", "http:", "https:"].includes(url.protocol)) {
+    throw new Error("The signaling URL must be ws, wss, http or https");
+  }
+  return value.trim();
+};
+
+const parseIceServer = (server) => {
+  if (typeof server !== "object" || server === null) {
+    throw new Error("ICE servers must be objects");
+  }
+  const urls = Array.isArray(server.urls) ? server.urls : [server.urls];
+  if (!urls.length || urls.some((u) => typeof u !== "string")) {
+    throw new Error("ICE servers need urls");
+  }
+  urls.forEach((u) => {
+    if (!/^(stun|turn|turns):/.test(u)) {
+      throw new Error(`${u} is not a stun, turn or turns url`);
+    }
+  });
+  const parsed = { urls: server.urls };
+  if (server.username !== undefined || server.credential !== undefined) {
+    if (
+      typeof server.username !== "string" ||
+      typeof server.credential !== "string"
+    ) {
+      throw new Error("ICE server username and credential must be strings");
+    }
+    parsed.username = server.username;
+    parsed.credential = server.credential;
+  }
+  if (urls.some((u) => u.startsWith("turn")) && parsed.username === undefined) {
+    throw new Error("TURN servers need a username and credential");
+  }
+  return parsed;
+};
+
+// Accepts a list of servers, its JSON, or comma separated urls.
+const parseIceServers = (value) => {
+  let servers = value;
+  if (typeof value === "string") {
+    servers = value.trim().startsWith("[")
+      ? JSON.parse(value)
+      : value
+          .split(",")
+          .map((u) => u.trim())
+          .filter((u) => u.length)
+          .map((u) => ({ urls: u }));
+  }
+  if (!Array.isArray(servers) || !servers.length) {
+    throw new Error("There must be at least one ICE server");
+  }
+  return servers.map(parseIceServer);
+};
+
+const parsers = {
+  signalingUrl: parseSignalingUrl,
+  iceServers: parseIceServers,
+};
+
+// the settings each source holds, missing ones left undefined
+const readSources = ({ params, settings, env }) => [
+  {
+    name: "params",
+    values: {
+      signalingUrl: params?.get("signalingUrl") ?? undefined,
+      iceServers: params?.get("iceServers") ?? undefined,
+    },
+  },
+  { name: "settings", values: settings ?? {} },
+  {
+    name: "env",
+    values: {
+      signalingUrl: env?.VITE_SIGNALING_URL,
+      iceServers: env?.VITE_ICE_SERVERS,
+    },
+  },
+  { name: "default", values: defaultNetworkConfig },
+];
+
+// Returns { signalingUrl, iceServers, from, problems }. from names the
+// source each setting came from, and problems lists the values skipped for
+// being invalid, so the caller can report them.
+const resolveNetworkConfig = (sources = {}) => {
+  const config = { from: {}, problems: [] };
+  const candidates = readSources(sources);
+  Object.entries(parsers).forEach(([key, parse]) => {
+    candidates.find(({ name, values }) => {
+      const value = values[key];
+      if (value === undefined || value === null || value === "") {
+        return false;
+      }
+      try {
+        config[key] = parse(value);
+        config.from[key] = name;
+        return true;
+      } catch (e) {
+        config.problems.push(`Ignoring ${key} from ${name}: ${e.message}`);
+        return false;
+      }
+    });
+  });
+  return config;
+};
+
+export {
+  defaultNetworkConfig,
+  parseIceServers,
+  parseSignalingUrl,
+  resolveNetworkConfig,
+};
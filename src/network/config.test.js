@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+import {
+  defaultNetworkConfig,
+  parseIceServers,
+  parseSignalingUrl,
+  resolveNetworkConfig,
+} from "./config.js";
+
+const turn = {
+  urls: "turn:turn.example.com:3478",
+  username: "duel",
+  credential: "secret",
+};
+
+describe("resolveNetworkConfig", () => {
+  it("falls back to the defaults", () => {
+    const config = resolveNetworkConfig();
+    expect(config.signalingUrl).toBe(defaultNetworkConfig.signalingUrl);
+    expect(config.iceServers).toEqual(defaultNetworkConfig.iceServers);
+    expect(config.from).toEqual({
+      signalingUrl: "default",
+      iceServers: "default",
+    });
+  });
+
+  it("prefers URL parameters, then settings, then env variables", () => {
+    const env = {
+      VITE_SIGNALING_URL: "wss://lobby.example.com",
+      VITE_ICE_SERVERS: JSON.stringify([turn]),
+    };
+    const settings = { signalingUrl: "ws://localhost:3000" };
+    const params = new URLSearchParams("iceServers=stun:stun.example.com");
+    const config = resolveNetworkConfig({ params, settings, env });
+    expect(config.signalingUrl).toBe("ws://localhost:3000");
+    expect(config.iceServers).toEqual([{ urls: "stun:stun.example.com" }]);
+    expect(config.from).toEqual({
+      signalingUrl: "settings",
+      iceServers: "params",
+    });
+    expect(resolveNetworkConfig({ env }).iceServers).toEqual([turn]);
+  });
+
+  it("skips invalid values and says why", () => {
+    const params = new URLSearchParams("signalingUrl=ftp://example.com");
+    const config = resolveNetworkConfig({
+      params,
+      env: { VITE_ICE_SERVERS: "[not json" },
+    });
+    expect(config.signalingUrl).toBe(defaultNetworkConfig.signalingUrl);
+    expect(config.iceServers).toEqual(defaultNetworkConfig.iceServers);
+    expect(config.problems.length).toBe(2);
+  });
+});
+
+describe("parseIceServers", () => {
+  it("reads comma separated STUN urls", () => {
+    expect(parseIceServers("stun:a.example.com, stun:b.example.com")).toEqual([
+      { urls: "stun:a.example.com" },
+      { urls: "stun:b.example.com" },
+    ]);
+  });
+
+  it("needs credentials for TURN servers", () => {
+    expect(parseIceServers([turn])).toEqual([turn]);
+    expect(() => parseIceServers([{ urls: turn.urls }])).toThrow();
+    expect(() => parseIceServers([{ urls: "http://example.com" }])).toThrow();
+    expect(() => parseIceServers([])).toThrow();
+  });
+});
+
+describe("parseSignalingUrl", () => {
+  it("accepts websocket and http urls", () => {
+    expect(parseSignalingUrl("ws://localhost:3000")).toBe(
+      "ws://localhost:3000"
+    );
+    expect(parseSignalingUrl("https://lobby.example.com")).toBe(
+      "https://lobby.example.com"
+    );
+    expect(() => parseSignalingUrl("localhost:3000")).toThrow();
+  });
+});
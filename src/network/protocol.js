@@ -0,0 +1,228 @@
+/**
+ * Wire Protocol
+ *
+ * What goes over a connection to another machine. Every message is an
+ * envelope:
+ * v - PROTOCOL_VERSION
+ * id - the message's id, unique across both ends
+ * seq - counts the sender's messages from 1, the hello included
+ * from - the sender's id, picked when the connection opens
+ * event - the event, { type, ...fields } as in schemas
+ *
+ * Each end's first message is a hello. An end hears nothing else until the
+ * other's hello has arrived with the same version.
+ *
+ * The schemas only check an event's shape, whether it's allowed right now is
+ * up to validateEvent. to says which end an event goes to, "server" (the
+ * machine running the GameServer), "client" or "both".
+ */
+import { Transport } from "./transport.js";
+
+// 2 added state checksums and resyncRequest, 3 added pickFighter
+const PROTOCOL_VERSION = 3;
+
+const isObject = (v) => typeof v === "object" && v !== null;
+const isString = (v) => typeof v === "string";
+const isInteger = (v) => Number.isInteger(v);
+const isPlayer = (v) => v === 0 || v === 1;
+const optional = (check) => (v) => v === undefined || v === null || check(v);
+const pairOf = (check) => (v) =>
+  Array.isArray(v) && v.length === 2 && v.every(check);
+// a move, or the commitment hiding one
+const isCommand = (v) =>
+  isObject(v) &&
+  isPlayer(v.playerIndex) &&
+  (isString(v.move) || isString(v.hash));
+const isReveal = (v) =>
+  isObject(v) &&
+  isPlayer(v.playerIndex) &&
+  isString(v.move) &&
+  isString(v.salt);
+// see checksum.js
+const isChecksum = (v) => isObject(v) && isInteger(v.turn) && isString(v.hash);
+
+const schemas = {
+  hello: { to: "both", fields: { version: isInteger } },
+  // from a player to the server
+  selectMove: {
+    to: "server",
+    fields: { move: pairOf(isCommand), turn: optional(isInteger) },
+  },
+  revealMove: { to: "server", fields: { reveal: isReveal } },
+  undoMove: { to: "server", fields: {} },
+  redoMove: { to: "server", fields: {} },
+  pickFighter: { to: "server", fields: { fighter: isString } },
+  // a player whose match no longer matches the server's
+  resyncRequest: { to: "server", fields: { turn: optional(isInteger) } },
+  // asked for by a player, then done by the server
+  jumpToTurn: { to: "both", fields: { turn: isInteger } },
+  nextRound: { to: "both", fields: {} },
+  newMatch: { to: "both", fields: { fighters: optional(pairOf(isString)) } },
+  // from the server to the players
+  applyMoves: {
+    to: "client",
+    fields: {
+      move: pairOf(isCommand),
+      revealed: optional(isCommand),
+      checksum: optional(isChecksum),
+    },
+  },
+  requestReveal: { to: "client", fields: { hash: isString } },
+  cheatDetected: {
+    to: "client",
+    fields: { playerIndex: isPlayer, reason: isString },
+  },
+  undoMoves: { to: "client", fields: {} },
+  redoMoves: { to: "client", fields: {} },
+  snapshot: { to: "client", fields: { match: isObject } },
+  error: { to: "client", fields: { code: isString, message: isString } },
+};
+
+// Returns what's wrong with an event arriving at end ("server" or
+// "client"), or null when it fits its schema.
+const checkEvent = (event, end) => {
+  if (!isObject(event) || !isString(event.type)) {
+    return "Events must be objects with a type";
+  }
+  const schema = schemas[event.type];
+  if (!schema) {
+    return `Unknown event ${event.type}`;
+  }
+  if (schema.to !== "both" && schema.to !== end) {
+    return `${event.type} isn't sent to the ${end}`;
+  }
+  const bad = Object.keys(schema.fields).find(
+    (name) => !schema.fields[name](event[name])
+  );
+  return bad ? `${event.type} has a bad ${bad}` : null;
+};
+
+// Returns what's wrong with an envelope, or null when it's well formed. Its
+// version is checked during the handshake.
+const checkEnvelope = (envelope) => {
+  if (!isObject(envelope)) {
+    return "Messages must be objects";
+  }
+  if (!isInteger(envelope.v) || !isString(envelope.id)) {
+    return "Messages need a version and an id";
+  }
+  if (!isInteger(envelope.seq) || envelope.seq < 1) {
+    return "Messages need a sequence number";
+  }
+  if (!isString(envelope.from)) {
+    return "Messages need a sender";
+  }
+  return null;
+};
+
+const newEndId = () => Math.random().toString(36).slice(2, 10);
+
+// Speaks the protocol over inner, a transport to another machine, and
+// passes on the events that pass every check. end is "server" when the
+// GameServer is on this machine, otherwise "client". Dropped messages are
+// handed to handlers:
+// onMismatch(version) - the other end speaks another version, nothing from
+//   it will be passed on
+// onDropped(problem, envelope) - a message was dropped. problem is
+//   { code, message }, with code one of malformedMessage, noHello,
+//   unknownSender, outOfOrder (repeated or late) and malformedEvent
+class ProtocolTransport extends Transport {
+  constructor(inner, end, handlers) {
+    super();
+    this.inner = inner;
+    this.end = end;
+    this.handlers = handlers;
+    this.id = newEndId();
+    this.seq = 0;
+    // the other end's id and the last seq heard from it, once it said hello
+    this.peer = null;
+    this.lastSeq = 0;
+    this.mismatched = false;
+    inner.subscribe((envelope) => this.accept(envelope));
+    inner.onClose(() => this.closed());
+    this.post({ type: "hello", version: PROTOCOL_VERSION });
+  }
+
+  post(event) {
+    this.seq += 1;
+    this.inner.send({
+      v: PROTOCOL_VERSION,
+      id: `${this.id}.${this.seq}`,
+      seq: this.seq,
+      from: this.id,
+      event: event,
+    });
+  }
+
+  send(event) {
+    if (this.isClosed) {
+      throw new Error("Can't send on a closed transport");
+    }
+    this.post(event);
+  }
+
+  drop(code, message, envelope) {
+    this.handlers.onDropped({ code: code, message: message }, envelope);
+  }
+
+  accept(envelope) {
+    if (this.mismatched) {
+      return;
+    }
+    const malformed = checkEnvelope(envelope);
+    if (malformed) {
+      this.drop("malformedMessage", malformed, envelope);
+      return;
+    }
+    if (!this.peer) {
+      this.handshake(envelope);
+      return;
+    }
+    if (envelope.from !== this.peer) {
+      this.drop("unknownSender", `Unknown sender ${envelope.from}`, envelope);
+      return;
+    }
+    if (envelope.seq <= this.lastSeq) {
+      const late = `Message ${envelope.seq} is repeated or late`;
+      this.drop("outOfOrder", late, envelope);
+      return;
+    }
+    // a gap means messages were lost, the ones after them are still good
+    this.lastSeq = envelope.seq;
+    const problem = checkEvent(envelope.event, this.end);
+    if (problem) {
+      this.drop("malformedEvent", problem, envelope);
+      return;
+    }
+    this.receive(envelope.event);
+  }
+
+  handshake(envelope) {
+    const { event } = envelope;
+    if (!isObject(event) || event.type !== "hello") {
+      this.drop("noHello", "Expected a hello first", envelope);
+      return;
+    }
+    const version = isInteger(event.version) ? event.version : envelope.v;
+    if (version !== PROTOCOL_VERSION || envelope.v !== PROTOCOL_VERSION) {
+      this.mismatched = true;
+      this.handlers.onMismatch(version);
+      return;
+    }
+    this.peer = envelope.from;
+    this.lastSeq = envelope.seq;
+  }
+
+  close() {
+    super.close();
+    this.inner.close();
+  }
+}
+
+export {
+  PROTOCOL_VERSION,
+  schemas,
+  checkEvent,
+  checkEnvelope,
+  ProtocolTransport,
+};
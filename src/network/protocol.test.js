@@ -0,0 +1,173 @@
+import { describe, expect, it, vi } from "vitest";
+import { createLoopback } from "./transport.js";
+import { checkEvent, PROTOCOL_VERSION, ProtocolTransport } from "./protocol.js";
+
+const handlers = () => ({ onMismatch: vi.fn(), onDropped: vi.fn() });
+
+// a server and a client end talking over a loopback
+const connect = () => {
+  const [a, b] = createLoopback();
+  const server = new ProtocolTransport(a, "server", handlers());
+  const client = new ProtocolTransport(b, "client", handlers());
+  const atServer = [];
+  const atClient = [];
+  server.subscribe((event) => atServer.push(event));
+  client.subscribe((event) => atClient.push(event));
+  return { server, client, atServer, atClient, raw: a };
+};
+
+const reveal = { playerIndex: 0, move: "Advance", salt: "abc" };
+
+describe("ProtocolTransport", () => {
+  it("wraps events in numbered envelopes after a hello", () => {
+    const [a, b] = createLoopback();
+    const sent = [];
+    b.subscribe((envelope) => sent.push(envelope));
+    const end = new ProtocolTransport(a, "client", handlers());
+    end.send({ type: "undoMove" });
+    expect(sent).toEqual([
+      {
+        v: PROTOCOL_VERSION,
+        id: `${end.id}.1`,
+        seq: 1,
+        from: end.id,
+        event: { type: "hello", version: PROTOCOL_VERSION },
+      },
+      {
+        v: PROTOCOL_VERSION,
+        id: `${end.id}.2`,
+        seq: 2,
+        from: end.id,
+        event: { type: "undoMove" },
+      },
+    ]);
+  });
+
+  it("passes on events that fit their schema", () => {
+    const { server, client, atServer, atClient } = connect();
+    client.send({ type: "revealMove", reveal: reveal });
+    server.send({ type: "requestReveal", hash: "123" });
+    expect(atServer).toEqual([{ type: "revealMove", reveal: reveal }]);
+    expect(atClient).toEqual([{ type: "requestReveal", hash: "123" }]);
+    expect(server.handlers.onDropped).not.toHaveBeenCalled();
+  });
+
+  it("drops events that don't fit their schema or go to the wrong end", () => {
+    const { server, client, atServer } = connect();
+    client.send({ type: "revealMove", reveal: { move: "Advance" } });
+    client.send({ type: "applyMoves", move: [] });
+    client.send({ type: "launchMissiles" });
+    expect(atServer).toEqual([]);
+    const codes = server.handlers.onDropped.mock.calls.map(([p]) => p.code);
+    expect(codes).toEqual([
+      "malformedEvent",
+      "malformedEvent",
+      "malformedEvent",
+    ]);
+  });
+
+  it("drops repeated and late messages", () => {
+    const { server, atServer, raw } = connect();
+    const envelope = (seq, event) => ({
+      v: PROTOCOL_VERSION,
+      id: `other.${seq}`,
+      seq: seq,
+      from: server.peer,
+      event: event,
+    });
+    raw.receive(envelope(3, { type: "undoMove" }));
+    raw.receive(envelope(3, { type: "undoMove" }));
+    raw.receive(envelope(2, { type: "redoMove" }));
+    raw.receive(envelope(4, { type: "redoMove" }));
+    expect(atServer).toEqual([{ type: "undoMove" }, { type: "redoMove" }]);
+    expect(server.handlers.onDropped.mock.calls.map(([p]) => p.code)).toEqual([
+      "outOfOrder",
+      "outOfOrder",
+    ]);
+  });
+
+  it("drops messages from anyone but the end that said hello", () => {
+    const { server, atServer, raw } = connect();
+    raw.receive({
+      v: PROTOCOL_VERSION,
+      id: "stranger.5",
+      seq: 5,
+      from: "stranger",
+      event: { type: "undoMove" },
+    });
+    raw.receive("not an envelope");
+    expect(atServer).toEqual([]);
+    const codes = server.handlers.onDropped.mock.calls.map(([p]) => p.code);
+    expect(codes).toEqual(["unknownSender", "malformedMessage"]);
+  });
+
+  it("hears nothing before a hello", () => {
+    const [a, b] = createLoopback();
+    const end = new ProtocolTransport(a, "server", handlers());
+    const received = vi.fn();
+    end.subscribe(received);
+    b.send({ v: PROTOCOL_VERSION, id: "x.1", seq: 1, from: "x", event: {} });
+    expect(received).not.toHaveBeenCalled();
+    expect(end.handlers.onDropped.mock.calls[0][0].code).toBe("noHello");
+  });
+
+  it("stops listening to an end with another version", () => {
+    const [a, b] = createLoopback();
+    const end = new ProtocolTransport(a, "server", handlers());
+    const received = vi.fn();
+    end.subscribe(received);
+    const hello = { type: "hello", version: PROTOCOL_VERSION + 1 };
+    b.send({
+      v: PROTOCOL_VERSION + 1,
+      id: "x.1",
+      seq: 1,
+      from: "x",
+      event: hello,
+    });
+    b.send({
+      v: PROTOCOL_VERSION,
+      id: "x.2",
+      seq: 2,
+      from: "x",
+      event: { type: "undoMove" },
+    });
+    expect(end.handlers.onMismatch).toHaveBeenCalledWith(PROTOCOL_VERSION + 1);
+    expect(received).not.toHaveBeenCalled();
+  });
+
+  it("closes with the transport underneath", () => {
+    const { server, client } = connect();
+    const closed = vi.fn();
+    client.onClose(closed);
+    server.close();
+    expect(closed).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("checkEvent", () => {
+  it("checks the state checksum that comes with a turn", () => {
+    const move = [
+      { playerIndex: 0, move: "Advance" },
+      { playerIndex: 0, hash: "abc" },
+    ];
+    const applyMoves = (checksum) => ({
+      type: "applyMoves",
+      move: move,
+      checksum: checksum,
+    });
+    expect(checkEvent(applyMoves({ turn: 1, hash: "0a1b" }), "client")).toBe(
+      null
+    );
+    expect(checkEvent(applyMoves({ turn: "1" }), "client")).toBe(
+      "applyMoves has a bad checksum"
+    );
+    expect(checkEvent({ type: "resyncRequest", turn: 1 }, "server")).toBe(null);
+  });
+
+  it("lets optional fields be left out", () => {
+    expect(checkEvent({ type: "newMatch" }, "server")).toBeNull();
+    expect(checkEvent({ type: "newMatch", fighters: ["a"] }, "server")).toBe(
+      "newMatch has a bad fighters"
+    );
+  });
+});
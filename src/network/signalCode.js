@@ -0,0 +1,83 @@
+/**
+ * Signal Codes
+ *
+ * Connecting without a signaling server: the two players swap a session
+ * description and its ICE candidates by hand, as short codes pasted into
+ * chat or email. The host shares an offer code, the guest pastes it and
+ * shares back an answer code, and the host pastes that.
+ *
+ * A code is deflated, base64url encoded JSON:
+ * v - SIGNAL_CODE_VERSION
+ * t - the description's type, "offer" or "answer"
+ * s - the description's sdp
+ * c - the candidates, as [candidate, sdpMid, sdpMLineIndex]
+ */
+const SIGNAL_CODE_VERSION = 1;
+
+const bytesToBase64Url = (bytes) =>
+  btoa(Array.from(bytes, (b) => String.fromCharCode(b)).join(""))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+const base64UrlToBytes = (code) =>
+  Uint8Array.from(atob(code.replace(/-/g, "+").replace(/_/g, "/")), (c) =>
+    c.charCodeAt(0)
+  );
+
+// runs bytes through a CompressionStream or DecompressionStream
+const pipe = async (bytes, stream) =>
+  new Uint8Array(
+    await new Response(
+      new Blob([bytes]).stream().pipeThrough(stream)
+    ).arrayBuffer()
+  );
+
+// description is an RTCSessionDescription or { type, sdp }, candidates are
+// RTCIceCandidates or their JSON
+const encodeSignal = async (description, candidates) => {
+  const compact = {
+    v: SIGNAL_CODE_VERSION,
+    t: description.type,
+    s: description.sdp,
+    c: candidates.map((c) => [c.candidate, c.sdpMid, c.sdpMLineIndex]),
+  };
+  const text = new TextEncoder().encode(JSON.stringify(compact));
+  return bytesToBase64Url(
+    await pipe(text, new CompressionStream("deflate-raw"))
+  );
+};
+
+// Returns { description, candidates } ready for setRemoteDescription and
+// addIceCandidate. type says whether an offer or an answer is expected.
+const decodeSignal = async (code, type) => {
+  let compact = null;
+  try {
+    const bytes = await pipe(
+      base64UrlToBytes(code.replace(/\s+/g, "")),
+      new DecompressionStream("deflate-raw")
+    );
+    compact = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (e) {
+    throw new Error("That isn't a connection code");
+  }
+  if (compact.v !== SIGNAL_CODE_VERSION) {
+    throw new Error(`Unsupported connection code version ${compact.v}`);
+  }
+  if (compact.t !== type) {
+    throw new Error(`That's an ${compact.t} code, it needs an ${type} code`);
+  }
+  if (typeof compact.s !== "string" || !Array.isArray(compact.c)) {
+    throw new Error("That connection code is incomplete");
+  }
+  return {
+    description: { type: compact.t, sdp: compact.s },
+    candidates: compact.c.map(([candidate, sdpMid, sdpMLineIndex]) => ({
+      candidate: candidate,
+      sdpMid: sdpMid,
+      sdpMLineIndex: sdpMLineIndex,
+    })),
+  };
+};
+
+export { SIGNAL_CODE_VERSION, encodeSignal, decodeSignal };
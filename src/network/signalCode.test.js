@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { decodeSignal, encodeSignal } from "./signalCode.js";
+
+// roughly what a browser's offer looks like before any candidates
+const offerSdp = [
+  "v=0",
+  "o=- 4611731400430051336 2 IN IP4 127.0.0.1",
+  "s=-",
+  "t=0 0",
+  "a=group:BUNDLE 0",
+  "a=extmap-allow-mixed",
+  "a=msid-semantic: WMS",
+  "m=application 9 UDP/DTLS/SCTP webrtc-datachannel",
+  "c=IN IP4 0.0.0.0",
+  "a=ice-ufrag:Jk2x",
+  "a=ice-pwd:Qb0pqg6Cp3KLtoeYXxuz7Rb9",
+  "a=ice-options:trickle",
+  "a=fingerprint:sha-256 5B:46:2C:9B:7F:1A:62:0E:8D:3A:18:22:AF:E0:91:4C:77:B9:25:61:30:4F:DC:0A:98:E3:6B:54:12:C7:D5:A0",
+  "a=setup:actpass",
+  "a=mid:0",
+  "a=sctp-port:5000",
+  "a=max-message-size:262144",
+  "",
+].join("\r\n");
+
+const candidates = [
+  {
+    candidate:
+      "candidate:842163049 1 udp 1677729535 203.0.113.7 52311 typ srflx raddr 192.168.1.20 rport 52311 generation 0 ufrag Jk2x network-cost 999",
+    sdpMid: "0",
+    sdpMLineIndex: 0,
+  },
+  {
+    candidate:
+      "candidate:3145443361 1 udp 2122260223 192.168.1.20 52311 typ host generation 0 ufrag Jk2x network-id 1 network-cost 10",
+    sdpMid: "0",
+    sdpMLineIndex: 0,
+  },
+];
+
+describe("signal codes", () => {
+  it("round trips a description and its candidates", async () => {
+    const offer = { type: "offer", sdp: offerSdp };
+    const code = await encodeSignal(offer, candidates);
+    expect(code).toMatch(/^[A-Za-z0-9_-]+$/);
+    const plain = JSON.stringify({ sdp: offerSdp, candidates: candidates });
+    expect(code.length).toBeLessThan(plain.length);
+    expect(await decodeSignal(code, "offer")).toEqual({
+      description: { type: "offer", sdp: offerSdp },
+      candidates: candidates,
+    });
+  });
+
+  it("reads a code broken over lines by a chat app", async () => {
+    const code = await encodeSignal({ type: "answer", sdp: offerSdp }, []);
+    const wrapped = `  ${code.slice(0, 40)}\n${code.slice(40)}\n`;
+    const { description } = await decodeSignal(wrapped, "answer");
+    expect(description.sdp).toBe(offerSdp);
+  });
+
+  it("rejects an answer where an offer is expected", async () => {
+    const code = await encodeSignal({ type: "answer", sdp: offerSdp }, []);
+    await expect(decodeSignal(code, "offer")).rejects.toThrow(
+      "That's an answer code, it needs an offer code"
+    );
+  });
+
+  it("rejects text that isn't a code", async () => {
+    await expect(decodeSignal("hello there", "offer")).rejects.toThrow(
+      "That isn't a connection code"
+    );
+  });
+});
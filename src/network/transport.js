@@ -0,0 +1,205 @@
+/**
+ * Transports
+ *
+ * A transport is one end of a connection, between a GameClient and the
+ * GameServer or between two machines. Every backend has the same surface:
+ * send(message) - passes a JSON-able message to the other end
+ * subscribe(listener) - listener(message) is called with every message from
+ *   the other end. Messages that came before anyone subscribed go to the
+ *   first listener. Returns a function that unsubscribes.
+ * onClose(listener) - listener() is called once when the other end hangs up
+ *   or the connection drops, but not when this end closes it
+ * close() - hangs up
+ *
+ * Backends:
+ * createLoopback - both ends in the same page, for hotseat play and tests
+ * BroadcastChannelTransport - two tabs of the same browser, no server needed
+ * WebRTCClient (in script.js) - a data channel to another machine
+ */
+class Transport {
+  constructor() {
+    this.listeners = [];
+    this.closeListeners = [];
+    this.isClosed = false;
+    // messages kept until the first listener subscribes, the other end may
+    // start talking before this end is set up
+    this.early = [];
+  }
+
+  subscribe(listener) {
+    this.listeners.push(listener);
+    const early = this.early ?? [];
+    this.early = null;
+    early.forEach((message) => listener(message));
+    return () => {
+      this.listeners = this.listeners.filter((l) => l !== listener);
+    };
+  }
+
+  onClose(listener) {
+    this.closeListeners.push(listener);
+  }
+
+  send(message) {
+    throw new Error("This transport can't send");
+  }
+
+  close() {
+    this.isClosed = true;
+  }
+
+  // backends call this with each message from the other end
+  receive(message) {
+    if (this.isClosed) {
+      return;
+    }
+    if (this.early) {
+      this.early.push(message);
+      return;
+    }
+    this.listeners.forEach((l) => l(message));
+  }
+
+  // backends call this when the other end is gone
+  closed() {
+    if (this.isClosed) {
+      return;
+    }
+    this.isClosed = true;
+    this.closeListeners.forEach((l) => l());
+  }
+}
+
+// Delivers straight to the other end, before send returns, so a local
+// game plays out the same way it did when the objects called each other.
+class LoopbackTransport extends Transport {
+  constructor() {
+    super();
+    this.other = null;
+  }
+
+  send(message) {
+    if (this.isClosed) {
+      throw new Error("Can't send on a closed transport");
+    }
+    // a copy, so nothing gets through that couldn't cross the wire
+    this.other.receive(JSON.parse(JSON.stringify(message)));
+  }
+
+  close() {
+    super.close();
+    this.other.closed();
+  }
+}
+
+// returns the two ends of a new loopback
+const createLoopback = () => {
+  const ends = [new LoopbackTransport(), new LoopbackTransport()];
+  ends[0].other = ends[1];
+  ends[1].other = ends[0];
+  return ends;
+};
+
+const newPeerId = () => Math.random().toString(36).slice(2, 10);
+
+// Pairs two tabs on the channel named after lobbyId. Everything posted on it
+// is { type, from, to } plus:
+// hello - a tab joining, to no one in particular
+// welcome - the waiting tab taking the one that said hello
+// message { message } - a message for the other end
+// bye - the other end hung up
+//
+// handlers gets told how the pairing goes:
+// onLobby(lobbyId) - we're waiting for another tab to join
+// onOpen(runsServer) - paired, the tab that was waiting runs the game
+class BroadcastChannelTransport extends Transport {
+  constructor(lobbyId, handlers, joinTimeout = 500) {
+    super();
+    this.lobbyId = lobbyId;
+    this.handlers = handlers;
+    this.joinTimeout = joinTimeout;
+    this.id = newPeerId();
+    this.peer = null;
+    this.waiting = false;
+    this.timer = null;
+    this.channel = new BroadcastChannel(`theDuel.${lobbyId}`);
+    this.channel.onmessage = (event) => this.handle(event.data);
+  }
+
+  post(type, fields = {}) {
+    this.channel.postMessage({ type: type, from: this.id, ...fields });
+  }
+
+  // waits for a tab to join
+  host() {
+    this.waiting = true;
+    this.handlers.onLobby(this.lobbyId);
+  }
+
+  // looks for a waiting tab, and waits itself when nobody answers
+  join() {
+    this.post("hello");
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.host();
+    }, this.joinTimeout);
+  }
+
+  fromPeer(msg) {
+    return msg.to === this.id && msg.from === this.peer;
+  }
+
+  handle(msg) {
+    switch (msg.type) {
+      case "hello":
+        if (this.waiting && !this.peer) {
+          this.peer = msg.from;
+          this.post("welcome", { to: msg.from });
+          this.handlers.onOpen(true);
+        }
+        break;
+      case "welcome":
+        if (msg.to === this.id && !this.peer) {
+          clearTimeout(this.timer);
+          this.peer = msg.from;
+          this.handlers.onOpen(false);
+        }
+        break;
+      case "message":
+        if (this.fromPeer(msg)) {
+          this.receive(msg.message);
+        }
+        break;
+      case "bye":
+        if (this.fromPeer(msg)) {
+          this.shutDown();
+          this.closed();
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  send(message) {
+    if (this.isClosed || !this.peer) {
+      throw new Error("Can't send before another tab has joined");
+    }
+    this.post("message", { to: this.peer, message: message });
+  }
+
+  close() {
+    if (this.peer && !this.isClosed) {
+      this.post("bye", { to: this.peer });
+    }
+    this.shutDown();
+    super.close();
+  }
+
+  shutDown() {
+    clearTimeout(this.timer);
+    this.channel.close();
+  }
+}
+
+export { Transport, createLoopback, BroadcastChannelTransport };
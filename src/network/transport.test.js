@@ -0,0 +1,157 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { BroadcastChannelTransport, createLoopback } from "./transport.js";
+
+describe("createLoopback", () => {
+  it("delivers each end's messages to the other before send returns", () => {
+    const [a, b] = createLoopback();
+    const atA = [];
+    const atB = [];
+    a.subscribe((m) => atA.push(m));
+    b.subscribe((m) => atB.push(m));
+    a.send({ type: "selectMove", move: ["Advance", { hash: "abc" }] });
+    b.send({ type: "applyMoves" });
+    expect(atB).toEqual([
+      { type: "selectMove", move: ["Advance", { hash: "abc" }] },
+    ]);
+    expect(atA).toEqual([{ type: "applyMoves" }]);
+  });
+
+  it("sends a copy, like a message over the wire", () => {
+    const [a, b] = createLoopback();
+    const received = [];
+    b.subscribe((m) => received.push(m));
+    const message = { type: "newMatch", fighters: undefined };
+    a.send(message);
+    expect(received[0]).not.toBe(message);
+    expect(received[0]).toEqual({ type: "newMatch" });
+  });
+
+  it("stops delivering to a listener once it unsubscribes", () => {
+    const [a, b] = createLoopback();
+    const listener = vi.fn();
+    const unsubscribe = b.subscribe(listener);
+    a.send({ type: "undoMove" });
+    unsubscribe();
+    a.send({ type: "redoMove" });
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it("keeps messages that came before anyone subscribed", () => {
+    const [a, b] = createLoopback();
+    a.send({ type: "undoMove" });
+    const first = vi.fn();
+    const second = vi.fn();
+    b.subscribe(first);
+    b.subscribe(second);
+    a.send({ type: "redoMove" });
+    expect(first.mock.calls).toEqual([
+      [{ type: "undoMove" }],
+      [{ type: "redoMove" }],
+    ]);
+    expect(second.mock.calls).toEqual([[{ type: "redoMove" }]]);
+  });
+
+  it("tells only the other end when one end closes", () => {
+    const [a, b] = createLoopback();
+    const closedA = vi.fn();
+    const closedB = vi.fn();
+    a.onClose(closedA);
+    b.onClose(closedB);
+    a.close();
+    expect(closedA).not.toHaveBeenCalled();
+    expect(closedB).toHaveBeenCalledTimes(1);
+    expect(() => b.send({ type: "undoMove" })).toThrow();
+  });
+});
+
+describe("BroadcastChannelTransport", () => {
+  const transports = [];
+
+  const open = (lobbyId, joinTimeout = 200) => {
+    const handlers = { onLobby: vi.fn(), onOpen: vi.fn() };
+    const transport = new BroadcastChannelTransport(
+      lobbyId,
+      handlers,
+      joinTimeout
+    );
+    transports.push(transport);
+    return { transport, handlers };
+  };
+
+  afterEach(() => {
+    transports.splice(0).forEach((t) => t.close());
+  });
+
+  it("pairs a joining tab with the waiting one", async () => {
+    const host = open("pair");
+    const guest = open("pair");
+    host.transport.host();
+    expect(host.handlers.onLobby).toHaveBeenCalledWith("pair");
+    guest.transport.join();
+    await vi.waitFor(() => {
+      expect(host.handlers.onOpen).toHaveBeenCalledWith(true);
+      expect(guest.handlers.onOpen).toHaveBeenCalledWith(false);
+    });
+    expect(guest.handlers.onLobby).not.toHaveBeenCalled();
+
+    const atHost = [];
+    const atGuest = [];
+    host.transport.subscribe((m) => atHost.push(m));
+    guest.transport.subscribe((m) => atGuest.push(m));
+    guest.transport.send({ type: "selectMove", move: ["Advance", "Hold"] });
+    host.transport.send({ type: "applyMoves" });
+    await vi.waitFor(() => {
+      expect(atHost).toEqual([
+        { type: "selectMove", move: ["Advance", "Hold"] },
+      ]);
+      expect(atGuest).toEqual([{ type: "applyMoves" }]);
+    });
+  });
+
+  it("waits for another tab when nobody answers", async () => {
+    const alone = open("empty", 20);
+    alone.transport.join();
+    await vi.waitFor(() =>
+      expect(alone.handlers.onLobby).toHaveBeenCalledWith("empty")
+    );
+    const late = open("empty");
+    late.transport.join();
+    await vi.waitFor(() =>
+      expect(alone.handlers.onOpen).toHaveBeenCalledWith(true)
+    );
+  });
+
+  it("ignores tabs in other lobbies and a third tab", async () => {
+    const host = open("busy");
+    const guest = open("busy");
+    const elsewhere = open("elsewhere", 20);
+    host.transport.host();
+    elsewhere.transport.join();
+    guest.transport.join();
+    await vi.waitFor(() =>
+      expect(guest.handlers.onOpen).toHaveBeenCalledWith(false)
+    );
+    const third = open("busy", 20);
+    third.transport.join();
+    await vi.waitFor(() =>
+      expect(third.handlers.onLobby).toHaveBeenCalledWith("busy")
+    );
+    expect(host.handlers.onOpen).toHaveBeenCalledTimes(1);
+    expect(elsewhere.handlers.onOpen).not.toHaveBeenCalled();
+  });
+
+  it("tells the other tab when one hangs up", async () => {
+    const host = open("bye");
+    const guest = open("bye");
+    host.transport.host();
+    guest.transport.join();
+    await vi.waitFor(() =>
+      expect(host.handlers.onOpen).toHaveBeenCalledWith(true)
+    );
+    const hungUp = vi.fn();
+    host.transport.onClose(hungUp);
+    guest.transport.close();
+    await vi.waitFor(() => expect(hungUp).toHaveBeenCalledTimes(1));
+    expect(host.transport.isClosed).toBe(true);
+  });
+});
@@ -17,11 +17,45 @@ import loadingFragmentShader from "./shaders/loading/fragment.glsl";
 import matcapVertexShader from "./shaders/matcap/vertex.glsl";
 import matcapFragmentShader from "./shaders/matcap/fragment.glsl";
 import { io } from "socket.io-client";
-
-/**
- * Helpers
- */
-Math.clamp = (num, min, max) => Math.max(min, Math.min(num, max));
+import { Match } from "./game/match.js";
+import { chooseMoves, difficulties, isBotsMove } from "./game/ai.js";
+import { validateEvent } from "./game/validation.js";
+import { createCommitment, verifyReveal } from "./game/commitment.js";
+import {
+  diffPlayerStates,
+  playerStatesAfter,
+  stateChecksum,
+} from "./game/checksum.js";
+import {
+  decodeGameCode,
+  encodeGameCode,
+  loadMatch,
+  serializeMatch,
+} from "./game/serialization.js";
+import { ReplayPlayer, createReplay, parseReplay } from "./game/replay.js";
+import { exportNotation, importNotation } from "./game/notation.js";
+import { payoffMatrix } from "./game/analysis.js";
+import { fighterNames, fighters, withFighters } from "./game/fighters.js";
+import {
+  allMoves,
+  classicRuleset,
+  parseRuleset,
+  playerRules,
+  tileAt,
+} from "./game/ruleset.js";
+import { describeEvent, describeOutcome } from "./game/events.js";
+import {
+  parseIceServers,
+  parseSignalingUrl,
+  resolveNetworkConfig,
+} from "./network/config.js";
+import {
+  BroadcastChannelTransport,
+  Transport,
+  createLoopback,
+} from "./network/transport.js";
+import { ProtocolTransport } from "./network/protocol.js";
+import { decodeSignal, encodeSignal } from "./network/signalCode.js";
 
 /**
  * Core objects
@@ -134,22 +168,44 @@ const loadModel = (name, texture) => {
   });
 };
 
-const getModel = (name) => {
+// texture is the name of a matcap to draw the model with instead of its own
+// colours, so fighters sharing a model still look different.
+const getModel = (name, texture = null) => {
   if (!models.has(name)) {
     return null;
   }
   const rawModel = models.get(name);
 
   const model = SkeletonUtils.clone(rawModel);
+  if (texture) {
+    const material = new THREE.MeshMatcapMaterial({
+      matcap: textures.get(texture),
+    });
+    model.traverse((child) => {
+      if (child instanceof THREE.Mesh) {
+        child.material = material;
+      }
+    });
+  }
   scene.add(model);
 
   model.mixer = new THREE.AnimationMixer(model);
   model.mixer.clips = rawModel.animations;
-  model.mixer.playAnimation = (name, loopMode = THREE.LoopOnce) => {
+  model.mixer.playAnimation = (
+    name,
+    loopMode = THREE.LoopOnce,
+    timeScale = 1
+  ) => {
     model.mixer.stopAllAction();
     const action = model.mixer.clipAction(name);
     action.setLoop(loopMode);
+    action.timeScale = timeScale;
     action.play();
+    // reversed clips have to start from the end
+    if (timeScale < 0) {
+      action.time = action.getClip().duration;
+    }
+    return action;
   };
   model.mixer.playAnimation("walk.low");
   model.mixer.addEventListener("finished", (e) => {
@@ -159,11 +215,16 @@ const getModel = (name) => {
         e.action.reset();
         e.action.play();
         break;
+      // a reversed slash (parry) ends in the stance it started in
       case "slash.low":
-        model.mixer.playAnimation("walk.high");
+        model.mixer.playAnimation(
+          e.action.timeScale < 0 ? "walk.low" : "walk.high"
+        );
         break;
       case "slash.high":
-        model.mixer.playAnimation("walk.low");
+        model.mixer.playAnimation(
+          e.action.timeScale < 0 ? "walk.high" : "walk.low"
+        );
         break;
     }
   });
@@ -281,7 +342,7 @@ controls.enabled = false;
 
 const debugObject = { timeSpeed: 1.0 };
 const gui = new GUI();
-gui
+const timeSpeedController = gui
   .add(debugObject, "timeSpeed")
   .min(0)
   .max(3)
@@ -290,6 +351,11 @@ gui
     timeTracker.timeSpeed = v;
   });
 
+// for speed controls outside the debug panel
+const setTimeSpeed = (timeSpeed) => {
+  timeSpeedController.setValue(timeSpeed);
+};
+
 /**
  * Loading overlay
  */
@@ -372,48 +438,166 @@ const getHostId = () => {
   return urlParams.get("hostId");
 };
 
-const setHostId = (hostId) => {
+// via is how the lobby is joined, see GameManager.connect
+const setHostId = (hostId, via = "webrtc") => {
   const url = new URL(window.location);
   url.searchParams.set("hostId", hostId);
+  if (via === "webrtc") {
+    url.searchParams.delete("via");
+  } else {
+    url.searchParams.set("via", via);
+  }
   window.history.pushState(null, "", url.toString());
 };
 
-// none ->
-//
-class WebRTCClient {
-  constructor(socketUrl, iceServers) {
-    this.state = "FetchingCandidates";
-    this.socket = io(socketUrl);
-    this.connection = new RTCPeerConnection({
-      iceServers: iceServers,
-    });
-    this.connection.ondatachannel = (event) => {
-      console.log("ondatachannel", event);
-      this.dataChannel = event.channel;
-      this.dataChannel.onopen = (event) => console.log("onopen", event);
-      this.dataChannel.onmessage = (event) => {
-        console.log("onmessage", event);
-        recieveData(event.data);
-      };
-      this.dataChannel.onclose = (event) => console.log("onclose", event);
-    };
-    this.dataChannel = this.connection.createDataChannel("data");
-    this.dataChannel.onopen = (event) => console.log("onopen", event);
-    this.dataChannel.onmessage = (event) => {
-      console.log("onmessage", event);
-      recieveData(event.data);
-    };
-    this.dataChannel.onclose = (event) => console.log("onclose", event);
-
-    this.connection.onconnectionstatechange = (event) => {
-      console.log("onconnectionstatechange", event);
-      if (event.target && event.target.connectionState === "connected") {
-        client.playerIndex = server ? 0 : 1;
-        this.state = "Connected";
-        console.log(this);
-        this.socket.disconnect();
+// how long a dropped connection gets to come back by itself before we
+// restart ICE, how often we try again, and when we give up
+const restartDelay = 2000;
+const restartInterval = 5000;
+const reconnectTimeout = 30000;
+
+// What both ways of connecting two browsers share: the data channel, and
+// noticing when the connection drops and comes back. handlers gets told:
+// onOpen(runsServer) - connected, runsServer says whether we run the game
+// onReconnecting() - the connection dropped, we're trying to get it back
+// onReconnected() - it's back, though messages sent meanwhile may be lost
+class PeerTransport extends Transport {
+  constructor(iceServers, handlers) {
+    super();
+    this.handlers = handlers;
+    // whoever made the offer the connection was made from runs the
+    // GameServer, and makes the offers when restarting
+    this.runsServer = false;
+    this.opened = false;
+    this.reconnecting = false;
+    this.restartTimer = null;
+    this.giveUpTimer = null;
+    this.dataChannel = null;
+    // messages sent before the data channel opened
+    this.outbox = [];
+    this.connection = new RTCPeerConnection({ iceServers: iceServers });
+    this.connection.ondatachannel = (event) => this.useChannel(event.channel);
+    this.connection.onconnectionstatechange = () =>
+      this.connectionChanged(this.connection.connectionState);
+  }
+
+  useChannel(channel) {
+    this.dataChannel = channel;
+    channel.onopen = () => this.flush();
+    channel.onmessage = (event) => {
+      let message = null;
+      try {
+        message = JSON.parse(event.data);
+      } catch (e) {
+        console.log("Dropped a message that isn't JSON", event.data);
+        return;
       }
+      this.receive(message);
     };
+    channel.onclose = () => this.closed();
+    // a channel the other end opened may be open already
+    this.flush();
+  }
+
+  flush() {
+    if (this.dataChannel.readyState !== "open") {
+      return;
+    }
+    this.outbox.splice(0).forEach((text) => this.dataChannel.send(text));
+  }
+
+  connectionChanged(state) {
+    console.log("connection state", state);
+    if (this.isClosed) {
+      return;
+    }
+    switch (state) {
+      case "connected":
+        this.recovered();
+        break;
+      // it may come back by itself
+      case "disconnected":
+        this.dropped(restartDelay);
+        break;
+      case "failed":
+        this.dropped(0);
+        break;
+      default:
+        break;
+    }
+  }
+
+  recovered() {
+    clearTimeout(this.restartTimer);
+    clearTimeout(this.giveUpTimer);
+    if (!this.opened) {
+      this.opened = true;
+      this.handlers.onOpen(this.runsServer);
+    } else if (this.reconnecting) {
+      this.reconnecting = false;
+      this.handlers.onReconnected();
+    }
+  }
+
+  dropped(delay) {
+    if (!this.opened) {
+      return;
+    }
+    if (!this.reconnecting) {
+      this.reconnecting = true;
+      this.handlers.onReconnecting();
+      this.giveUpTimer = setTimeout(() => this.closed(), reconnectTimeout);
+    }
+    clearTimeout(this.restartTimer);
+    this.restartTimer = setTimeout(() => this.keepRestarting(), delay);
+  }
+
+  keepRestarting() {
+    this.restart().catch((e) => console.log("ICE restart failed", e));
+    this.restartTimer = setTimeout(
+      () => this.keepRestarting(),
+      restartInterval
+    );
+  }
+
+  // Without a way to renegotiate we can only wait for the connection to
+  // come back by itself.
+  async restart() {}
+
+  send(data) {
+    this.outbox.push(JSON.stringify(data));
+    this.flush();
+  }
+
+  // nothing is heard from a closed connection
+  close() {
+    this.handlers = Object.fromEntries(
+      Object.keys(this.handlers).map((name) => [name, () => {}])
+    );
+    clearTimeout(this.restartTimer);
+    clearTimeout(this.giveUpTimer);
+    super.close();
+    this.connection.close();
+  }
+
+  closed() {
+    clearTimeout(this.restartTimer);
+    clearTimeout(this.giveUpTimer);
+    super.closed();
+  }
+}
+
+// Connects two browsers through the lobby server, then talks to the other
+// one over a data channel. The lobby server stays connected, to pass on ICE
+// restarts. handlers gets onLobby(hostId) when we opened a lobby others join
+// with hostId, onLobbyExpired() when nobody joined it before the lobby
+// server gave up on it, as well as what PeerTransport tells.
+class WebRTCClient extends PeerTransport {
+  constructor(socketUrl, iceServers, handlers) {
+    super(iceServers, handlers);
+    this.state = "FetchingCandidates";
+    this.socket = io(socketUrl);
+    this.useChannel(this.connection.createDataChannel("data"));
 
     this.connection.oniceconnectionstatechange = (event) =>
       console.log("oniceconnectionstatechange", event);
@@ -432,8 +616,8 @@ class WebRTCClient {
       }
       this.otherCandidates.length = 0;
       this.otherOffer = null;
-      setHostId(msg.hostId);
       this.state = "WaitingForAnswer";
+      this.handlers.onLobby(msg.hostId);
     });
 
     // offer to connect send on connection attempt
@@ -479,10 +663,67 @@ class WebRTCClient {
         this.connection.addIceCandidate(c);
       });
       this.state = "RecievedAnswer";
-      server = new GameServer();
+      this.runsServer = true;
+    });
+
+    // an ICE restart, the host's offer or the guest's answer to it
+    this.socket.on("renegotiate", async (msg) => {
+      console.log("renegotiate message", msg);
+      await this.connection.setRemoteDescription(msg.description);
+      if (msg.description.type === "offer") {
+        this.trickleCandidates();
+        const answer = await this.connection.createAnswer();
+        await this.connection.setLocalDescription(answer);
+        this.socket.emit("renegotiate", {
+          hostId: getHostId(),
+          description: answer,
+        });
+      }
+    });
+
+    this.socket.on("lobbyExpired", (msg) => {
+      console.log("lobbyExpired message", msg);
+      this.handlers.onLobbyExpired();
+    });
+
+    this.socket.on("candidate", (msg) => {
+      this.connection
+        .addIceCandidate(msg.candidate)
+        .catch((e) => console.log("Couldn't add candidate", e));
+    });
+  }
+
+  // once connected, new candidates go to the other player as they're found
+  trickleCandidates() {
+    this.connection.onicecandidate = (event) => {
+      if (event.candidate) {
+        this.socket.emit("candidate", {
+          hostId: getHostId(),
+          candidate: event.candidate,
+        });
+      }
+    };
+  }
+
+  // the host offers, the guest answers when the offer arrives
+  async restart() {
+    if (!this.runsServer || !this.socket.connected) {
+      return;
+    }
+    this.trickleCandidates();
+    const offer = await this.connection.createOffer({ iceRestart: true });
+    await this.connection.setLocalDescription(offer);
+    this.socket.emit("renegotiate", {
+      hostId: getHostId(),
+      description: offer,
     });
   }
 
+  close() {
+    super.close();
+    this.socket.disconnect();
+  }
+
   async connect() {
     this.state = "Connecting";
     console.log(this);
@@ -509,9 +750,94 @@ class WebRTCClient {
   }
 }
 
+// how long to look for ICE candidates before sharing the ones we have, a
+// STUN server can't be reached on a LAN without internet
+const gatherTimeout = 3000;
+
+// Connects two browsers without the lobby server, the players swap signal
+// codes themselves. The host shares an offer code, the guest pastes it in
+// and shares back an answer code, and the host pastes that. handlers gets
+// onCode(code) when the code to give the other player is ready, as well as
+// what PeerTransport tells. With no way to pass on an ICE restart, a
+// dropped connection has to come back by itself.
+class ManualWebRTCClient extends PeerTransport {
+  // resolves to the candidates found, call it before setLocalDescription
+  gatherCandidates() {
+    return new Promise((resolve) => {
+      const candidates = [];
+      const done = () => {
+        clearTimeout(timer);
+        this.connection.onicecandidate = null;
+        resolve(candidates);
+      };
+      const timer = setTimeout(done, gatherTimeout);
+      this.connection.onicecandidate = (event) => {
+        if (event.candidate) {
+          candidates.push(event.candidate.toJSON());
+        } else {
+          done();
+        }
+      };
+    });
+  }
+
+  async share(description) {
+    const gathered = this.gatherCandidates();
+    await this.connection.setLocalDescription(description);
+    const code = await encodeSignal(description, await gathered);
+    this.handlers.onCode(code);
+  }
+
+  async useSignal(code, type) {
+    const { description, candidates } = await decodeSignal(code, type);
+    await this.connection.setRemoteDescription(description);
+    await Promise.all(
+      candidates.map((c) => this.connection.addIceCandidate(c))
+    );
+  }
+
+  // the host starts by sharing an offer code
+  async host() {
+    this.runsServer = true;
+    this.useChannel(this.connection.createDataChannel("data"));
+    await this.share(await this.connection.createOffer());
+  }
+
+  // the host pastes the answer code, the guest the offer code
+  async accept(code) {
+    if (this.runsServer) {
+      await this.useSignal(code, "answer");
+      return;
+    }
+    await this.useSignal(code, "offer");
+    await this.share(await this.connection.createAnswer());
+  }
+}
+
 /**
  * Params
  */
+const rulesets = import.meta.glob("./rulesets/*.json", {
+  eager: true,
+  import: "default",
+});
+
+// pick a ruleset with ?ruleset=<file name in src/rulesets>, or classic for
+// the one in ruleset.js the variants build on
+const loadRuleset = () => {
+  const urlParams = new URLSearchParams(window.location.search);
+  const name = urlParams.get("ruleset");
+  if (!name || name === "classic") {
+    return classicRuleset;
+  }
+  const data = rulesets[`./rulesets/${name}.json`];
+  if (!data) {
+    console.log("Unknown ruleset", name);
+    return classicRuleset;
+  }
+  return parseRuleset(data);
+};
+const ruleset = loadRuleset();
 
 /**
  * Loaded Objects
@@ -523,438 +849,1244 @@ loadSound("swoosh01");
 loadFont("helvetiker_regular.typeface");
 
 /**
- *
+ * Network Settings
  */
-// This class controls the whole game, transitioning you from between games.
-class GameManager {
-  // states:
-  // Start - just opened the page
-  // JoinLobby - try to join a lobby
-  // WaitingInLobby - have a lobbyId, waiting for someone to join
-  // Connected - connected to another player, ready to start game
-  // InGame - in the game
-  // GameOver - game ended
-  //
-  // valid transitions:
-  // Start -> JoinLobby
-  // Start -> WaitingInLobby
-  // JoinLobby -> WaitingInLobby
-  // JoinLobby -> Connected
-  // Connected -> InGame
-  // InGame -> GameOver
-  // GameOver -> InGame
-  // GameOver -> WaitingInLobby
-  constructor() {
-    this.state = "Start";
-    const localMode = urlParams.get("localMode");
-    if (!localMode) {
-      this.rtcClient = new WebRTCClient("ws://44.202.30.187:3000", [
-        { urls: "stun:stun.l.google.com:19302" },
-      ]);
-    }
-  }
-}
+const networkSettingsKey = "theDuel.network";
 
-let rtcClient = null;
-function sendData(data) {
-  if (rtcClient) {
-    rtcClient.dataChannel.send(JSON.stringify(data));
-    console.log("Sent Data: ", data);
-  } else {
-    console.log("No client to send data: ", data);
+const storedNetworkSettings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(networkSettingsKey)) ?? {};
+  } catch (e) {
+    return {};
   }
-}
+};
 
-const urlParams = new URLSearchParams(window.location.search);
-const localMode = true; //urlParams.get("localMode");
-if (!localMode) {
-  rtcClient = new WebRTCClient("ws://44.202.30.187:3000", [
-    { urls: "stun:stun.l.google.com:19302" },
-  ]);
-  rtcClient.connect();
-}
+// read for every connection, so changed settings apply to the next one
+const networkConfig = () => {
+  const config = resolveNetworkConfig({
+    params: new URLSearchParams(window.location.search),
+    settings: storedNetworkSettings(),
+    env: import.meta.env,
+  });
+  config.problems.forEach((problem) => console.log(problem));
+  return config;
+};
 
-/**
- * Game Rules
- */
+// The panel shows the settings in use. Saving stores them for every later
+// connection, though URL parameters still win.
+const networkSettings = {
+  signalingUrl: "",
+  iceServers: "",
+  save: () => {
+    try {
+      const settings = {
+        signalingUrl: parseSignalingUrl(networkSettings.signalingUrl),
+        iceServers: parseIceServers(networkSettings.iceServers),
+      };
+      localStorage.setItem(networkSettingsKey, JSON.stringify(settings));
+    } catch (e) {
+      console.log("Couldn't save network settings", e);
+      manager.clients[0].lastError = { message: e.message, time: Date.now() };
+    }
+    showNetworkSettings();
+  },
+  reset: () => {
+    localStorage.removeItem(networkSettingsKey);
+    showNetworkSettings();
+  },
+};
+const networkFolder = gui.addFolder("Network").close();
+networkFolder.add(networkSettings, "signalingUrl").name("Signaling URL");
+networkFolder.add(networkSettings, "iceServers").name("ICE servers");
+networkFolder.add(networkSettings, "save").name("Save");
+networkFolder.add(networkSettings, "reset").name("Reset");
+
+const showNetworkSettings = () => {
+  const { signalingUrl, iceServers } = networkConfig();
+  networkSettings.signalingUrl = signalingUrl;
+  networkSettings.iceServers = JSON.stringify(iceServers);
+  networkFolder.controllers.forEach((c) => c.updateDisplay());
+};
+showNetworkSettings();
 
 /**
- * This represents the actual state of the game.
- * Each player sends messages to it and recieves updates from it for their local client.
- * It happens to live on one player's machine, but they shouldn't read from it directly.
+ * Game Manager
  */
-class GameServer {
+
+// the states each state may move on to, see GameManager
+const managerTransitions = {
+  Start: ["JoinLobby", "WaitingInLobby", "InGame"],
+  JoinLobby: ["WaitingInLobby", "Connected", "Start"],
+  WaitingInLobby: ["Connected", "Start"],
+  Connected: ["InGame", "Reconnecting", "Start"],
+  InGame: ["GameOver", "Reconnecting", "Start"],
+  GameOver: ["InGame", "WaitingInLobby", "Reconnecting", "Start"],
+  Reconnecting: ["Connected", "InGame", "GameOver", "Start"],
+};
+
+// This class controls the whole game, transitioning you from between games.
+// It owns the connection to the other player, the GameServer (when this
+// machine runs it) and a GameClient for each player. clients[0] is never
+// replaced, so the UI and graphics can hold on to its match. The clients
+// and the server only talk through transports the manager hands them.
+//
+// states:
+// Start - just opened the page, or left a game
+// JoinLobby - try to join a lobby
+// WaitingInLobby - have a lobbyId, waiting for someone to join
+// Connected - connected to another player, ready to start game
+// InGame - in the game, local or online
+// GameOver - game ended
+// Reconnecting - lost the connection to the other player, trying to get it
+//   back
+//
+// valid transitions:
+// Start -> JoinLobby
+// Start -> WaitingInLobby
+// Start -> InGame, a game on this machine needs no lobby
+// JoinLobby -> WaitingInLobby, the lobby we asked for was gone
+// JoinLobby -> Connected
+// WaitingInLobby -> Connected, someone joined our lobby
+// Connected -> InGame
+// InGame -> GameOver
+// GameOver -> InGame
+// GameOver -> WaitingInLobby
+// Connected, InGame or GameOver -> Reconnecting -> back to where it was, or
+//   to where the match went meanwhile
+// and every state but Start may go back to Start, which hangs up
+class GameManager {
   constructor() {
-    this.game = new Game();
+    this.state = "Start";
+    // the transport to the other player, null in a local game
+    this.transport = null;
+    // the wire protocol spoken over transport, once connected
+    this.link = null;
+    // how we reach the other player, "webrtc", "tab" or "manual"
+    this.via = "webrtc";
+    this.lobbyId = null;
+    // the signal code to give the other player, when connecting by hand
+    this.signalCode = null;
+    // the state to go back to once reconnected
+    this.interrupted = null;
+    // our fighter for the online match, once we picked one
+    this.picked = null;
+    this.server = new GameServer();
+    this.clients = [new GameClient(0), new GameClient(1)];
+    this.clients.forEach((c) => this.plugIn(c));
+    // whether there is a local game the start menu can continue
+    this.hasGame = false;
+    // the AI playing right in the local game, null for a person
+    this.difficulty = null;
+    this.listeners = [];
+    this.clients[0].match.subscribe((event) => this.handleMatchEvent(event));
   }
 
-  sendEventToClients(event) {
-    console.log("client event", event);
-    clients.forEach((c) => c.handle(event));
-    if (rtcClient) {
-      sendData({ target: "client", event: event });
+  subscribe(listener) {
+    this.listeners.push(listener);
+  }
+
+  transition(state) {
+    if (!managerTransitions[this.state].includes(state)) {
+      throw new Error(`Can't go from ${this.state} to ${state}`);
     }
+    console.log("manager", this.state, "->", state);
+    this.state = state;
+    this.listeners.forEach((l) => l(this));
   }
 
-  handle(event) {
-    switch (event.type) {
-      case "selectMove":
-        this.game.applyMoves(event.move[0], event.move[1]);
+  online() {
+    return this.transport !== null;
+  }
 
-        this.sendEventToClients({
-          type: "applyMoves",
-          move: event.move,
-        });
+  // the client the person at this machine plays with, the left one in a
+  // hotseat game
+  localClient() {
+    return this.clients.find((c) => !c.isBot && !c.isRemote);
+  }
+
+  // The end of a match is game over, a new match (or taking back the turn
+  // that ended it) is back in the game. While reconnecting it changes the
+  // state we go back to.
+  handleMatchEvent(event) {
+    const reconnecting = this.state === "Reconnecting";
+    const current = reconnecting ? this.interrupted : this.state;
+    let next = current;
+    switch (event.type) {
+      case "matchEnd":
+        if (current === "InGame") {
+          next = "GameOver";
+        }
         break;
-      case "undoMove":
-        const changed = this.game.undo();
-        if (!changed) {
-          return false;
+      case "roundStart":
+      case "roundReopened":
+        if (current === "GameOver" || current === "Connected") {
+          next = "InGame";
         }
-        this.sendEventToClients({
-          type: "undoMoves",
-        });
         break;
       default:
         break;
     }
+    if (next === current) {
+      return;
+    }
+    if (reconnecting) {
+      this.interrupted = next;
+    } else {
+      this.transition(next);
+    }
   }
-}
 
-class GameClient {
-  constructor(playerIndex) {
-    this.playerIndex = playerIndex;
-    this.game = new Game();
-    this.selectedMoves = [null, null];
-    this.changed = false;
+  // Connects client to the server on this machine through a loopback. A
+  // client mirroring the other machine's player only watches.
+  plugIn(client) {
+    const [clientEnd, serverEnd] = createLoopback();
+    if (client.isRemote) {
+      this.server.watch(serverEnd);
+    } else {
+      this.server.connect(client.playerIndex, serverEnd);
+    }
+    client.connect(clientEnd);
   }
 
-  activePlayer() {
-    return this.game.activePlayer();
+  // Hangs up client's loopback, so the server stops sending to it. The
+  // connection to the other machine is only closed by hanging up.
+  unplug(client) {
+    const connection = client.connection;
+    client.disconnect();
+    if (connection && connection !== this.link) {
+      connection.close();
+    }
   }
 
-  submitMoves() {
-    if (this.selectedMoves.some((v) => v === null)) {
-      return false;
+  // the right player is a person on this machine, or an AI when difficulty
+  // is given. The new client catches up with the game being played, and
+  // takes over the reveals for moves the old one committed to.
+  setOpponent(difficulty = null) {
+    const previous = this.clients[1];
+    this.retireBot();
+    this.unplug(previous);
+    this.difficulty = difficulty;
+    const client = difficulty ? new AIClient(1, difficulty) : new GameClient(1);
+    client.secrets = previous.secrets;
+    this.clients[1] = client;
+    loadMatch(client.match, serializeMatch(this.server.match));
+    this.plugIn(client);
+    if (client.isBot) {
+      client.think();
     }
-    // submit moves
-    this.sendEventToServer({
-      type: "selectMove",
-      move: this.selectedMoves,
-    });
-    this.selectedMoves = [null, null];
   }
 
-  selectMove(move) {
-    console.log(this.selectedMoves);
-    if (move === "Submit") {
-      this.submitMoves();
-      return;
+  // a replaced AI mustn't play the move it was thinking about
+  retireBot() {
+    if (this.clients[1].isBot) {
+      this.clients[1].stop();
     }
+  }
 
-    // check if it's our turn to move
-    if (this.playerIndex !== this.activePlayer()) {
-      return;
+  // a game on this machine. fighters starts a new match with them,
+  // otherwise the loaded game carries on.
+  playLocal(fighters = null, difficulty = null) {
+    if (this.state !== "InGame") {
+      this.transition("InGame");
     }
-
-    // check if we've already selected this move.
-    const moveIndex = this.selectedMoves.findIndex(
-      (v) => v !== null && v.move === move
-    );
-
-    const firstEmptyIndex = this.selectedMoves.findIndex((v) => v === null);
-    if (moveIndex >= 0) {
-      this.selectedMoves.splice(moveIndex, 1);
-      this.selectedMoves.push(null);
+    this.hasGame = true;
+    if (fighters) {
+      this.localClient().sendEventToServer({
+        type: "newMatch",
+        fighters: fighters,
+      });
     }
-    // check if they've already selected 2 moves
-    else if (firstEmptyIndex >= 0) {
-      this.selectedMoves[firstEmptyIndex] = {
-        playerIndex: this.playerIndex,
-        move: move,
-      };
+    this.setOpponent(difficulty);
+    if (this.clients[0].match.result()) {
+      this.transition("GameOver");
     }
   }
 
-  sendEventToServer(event) {
-    console.log("sendEventToServer", event);
-    if (server) {
-      console.log("sent to local server");
-      server.handle(event);
-    } else {
-      console.log("sent to remote server");
-      sendData({ target: "server", event: event });
-    }
+  // back to the local game, against the same opponent as before
+  continueGame() {
+    this.playLocal(null, this.difficulty);
   }
 
-  handle(event) {
-    switch (event.type) {
-      case "applyMoves":
-        console.log("applyMoves", event.move);
-        this.game.applyMoves(event.move[0], event.move[1]);
-        break;
-      case "undoMoves":
-        console.log("undoMoves");
-        this.game.undo();
-        break;
-      default:
-        console.log(event);
-        throw new Error("Unknown client event");
-    }
-    this.changed = true;
+  // opens a lobby and waits for someone to join it with the page's link
+  hostLobby(via = this.via) {
+    this.hangUp();
+    this.transition("WaitingInLobby");
+    this.connect(via);
   }
 
-  hasUpdated() {
-    if (this.changed) {
-      this.changed = false;
-      return true;
-    }
-    return false;
+  joinLobby(hostId, via = "webrtc") {
+    this.lobbyId = hostId;
+    this.transition("JoinLobby");
+    this.connect(via);
   }
-}
-const recieveData = (data) => {
-  console.log("recieveData", data);
-  const parsedData = JSON.parse(data);
-  console.log("parsedData", parsedData);
-  switch (parsedData.target) {
-    case "server":
-      console.log("server event!");
-      if (!server) {
-        throw new Error("Has no server!");
+
+  // the guest side of connecting by hand, waiting for the host's code
+  joinByCode() {
+    this.hangUp();
+    this.transition("JoinLobby");
+    this.connect("manual");
+  }
+
+  // via "webrtc" meets the other player through the lobby server, "tab"
+  // meets another tab of this browser over a BroadcastChannel and "manual"
+  // has the players swap signal codes
+  connect(via) {
+    this.via = via;
+    const handlers = {
+      onLobby: (hostId) => this.lobbyOpened(hostId),
+      onLobbyExpired: () =>
+        this.disconnected("Nobody joined the lobby in time"),
+      onCode: (code) => this.signalReady(code),
+      onOpen: (runsServer) => this.connected(runsServer),
+      onReconnecting: () => this.connectionLost(),
+      onReconnected: () => this.connectionBack(),
+    };
+    if (via === "manual") {
+      const { iceServers } = networkConfig();
+      this.transport = new ManualWebRTCClient(iceServers, handlers);
+      if (this.state === "WaitingInLobby") {
+        this.transport.host().catch((e) => this.signalFailed(e));
       }
-      server.handle(parsedData.event);
-      break;
-    case "client":
-      console.log("client event!");
-      console.log("client data", parsedData.event);
-      client.handle(parsedData.event);
-      break;
-    default:
-      break;
+    } else if (via === "tab") {
+      const lobbyId = this.lobbyId ?? Math.random().toString(36).slice(2, 8);
+      this.transport = new BroadcastChannelTransport(lobbyId, handlers);
+      if (this.lobbyId) {
+        this.transport.join();
+      } else {
+        this.transport.host();
+      }
+    } else {
+      const { signalingUrl, iceServers } = networkConfig();
+      this.transport = new WebRTCClient(signalingUrl, iceServers, handlers);
+      this.transport.connect();
+    }
+    this.transport.onClose(() => this.disconnected());
   }
-};
 
-// A command is the user's intention (ex: move forward)
-// A delta is the state was before and after (ex: there was a wall in front, no change in position)
-class Game {
-  constructor() {
-    this.state = new GameState();
-    this.history = [];
-    this.nextCommands = [null, new Command(1, "Advance")];
-    this.priorityPlayer = 0;
-  }
-
-  applyMoves(first, second) {
-    const activePlayer = this.activePlayer();
-    this.nextCommands[activePlayer] = first;
-    const deltas = this.state.apply(this.nextCommands);
-    this.history.push([this.nextCommands, deltas]);
-    this.nextCommands = [null, null];
-    this.nextCommands[activePlayer] = second;
-    console.log("next commands after apply", this.nextCommands);
-    return true;
+  signalReady(code) {
+    this.signalCode = code;
+    this.listeners.forEach((l) => l(this));
   }
 
-  activePlayer() {
-    return this.nextCommands.findIndex((m) => m === null);
+  // code is the signal code the other player gave us
+  pasteSignal(code) {
+    this.transport.accept(code).catch((e) => this.signalFailed(e));
+  }
+
+  signalFailed(error) {
+    console.log("Couldn't connect by code", error);
+    this.clients[0].lastError = { message: error.message, time: Date.now() };
   }
 
-  lastCommand(playerIndex) {
-    if (this.history.length) {
-      return this.history[this.history.length - 1][0][playerIndex];
+  lobbyOpened(hostId) {
+    this.lobbyId = hostId;
+    setHostId(hostId, this.via);
+    if (this.state === "JoinLobby") {
+      // the link was to a lobby that's gone, or already has a guest
+      const message =
+        "That lobby isn't open any more, you're hosting a new one";
+      this.clients[0].lastError = { message: message, time: Date.now() };
+      this.transition("WaitingInLobby");
     } else {
-      return { playerIndex: playerIndex, move: "Advance" };
+      // the screen shows the lobby's link now it has one
+      this.listeners.forEach((l) => l(this));
     }
   }
 
-  undo() {
-    if (!this.history.length) {
-      return;
+  // Each side plays one player. The side running the server is left, and
+  // the other player's client only mirrors what the server sends.
+  // Without the server, both our clients listen to the other machine's
+  // server, though only one of them plays.
+  connected(runsServer) {
+    const localPlayer = runsServer ? 0 : 1;
+    this.retireBot();
+    this.unplug(this.clients[1]);
+    this.difficulty = null;
+    this.clients[1] = new GameClient(1);
+    this.clients.forEach((c) => {
+      c.isRemote = c.playerIndex !== localPlayer;
+      c.match.reset(ruleset);
+    });
+    this.link = new ProtocolTransport(
+      this.transport,
+      runsServer ? "server" : "client",
+      {
+        onMismatch: (version) => {
+          console.log("Protocol version mismatch", version);
+          this.disconnected("The other player has another version of the game");
+        },
+        onDropped: (problem, envelope) => this.dropped(problem, envelope),
+      }
+    );
+    if (runsServer) {
+      this.server = new GameServer(1);
+      this.server.connect(1, this.link);
+      this.clients.forEach((c) => this.plugIn(c));
+    } else {
+      this.server = null;
+      this.clients.forEach((c) => c.connect(this.link));
     }
-    const activePlayer = this.activePlayer();
-    const [moves, deltas] = this.history.pop();
-    this.state.undo(deltas);
-    this.nextCommands = moves;
-    this.nextCommands[(activePlayer + 1) % 2] = null;
-    return true;
+    this.transition("Connected");
+  }
+
+  // The other player hears about events of theirs the server couldn't read,
+  // like any other it rejects. Anything else dropped is only logged.
+  dropped(problem, envelope) {
+    console.log("Dropped message:", problem.message, envelope);
+    if (problem.code === "malformedEvent" && this.server) {
+      this.server.reject(this.server.remotePlayer, envelope.event, problem);
+    }
+  }
+
+  connectionLost() {
+    this.interrupted = this.state;
+    this.transition("Reconnecting");
+  }
+
+  // messages may have been lost while we were apart, so the server sends
+  // the other player everything
+  connectionBack() {
+    const state = this.interrupted;
+    this.interrupted = null;
+    this.transition(state);
+    if (this.server) {
+      this.server.resync(this.server.remotePlayer);
+    }
+  }
+
+  // the online match starts once the other player picked too
+  pickFighter(name) {
+    this.picked = name;
+    this.localClient().sendEventToServer({
+      type: "pickFighter",
+      fighter: name,
+    });
+    this.listeners.forEach((l) => l(this));
   }
 
-  getPlayer(index) {
-    return this.state.players[index];
+  disconnected(message = "The other player left") {
+    this.leave();
+    this.clients[0].lastError = { message: message, time: Date.now() };
+  }
+
+  hangUp() {
+    if (this.transport) {
+      this.transport.close();
+      this.transport = null;
+    }
+    this.link = null;
+    this.lobbyId = null;
+    this.signalCode = null;
+    this.picked = null;
+    this.interrupted = null;
+    const url = new URL(window.location);
+    url.searchParams.delete("hostId");
+    url.searchParams.delete("via");
+    window.history.replaceState(null, "", url.toString());
+  }
+
+  // back to the start menu. Leaving an online game goes back to the local
+  // game that was autosaved, a local game can be continued.
+  leave() {
+    if (this.state === "Start") {
+      return;
+    }
+    this.retireBot();
+    if (this.online() || !this.server) {
+      this.hangUp();
+      this.server = new GameServer();
+      this.clients.forEach((c) => {
+        c.isRemote = false;
+        this.plugIn(c);
+      });
+      loadLocalMatch(serializeMatch(this.server.match));
+      this.hasGame = loadSavedGame();
+    }
+    this.transition("Start");
   }
 }
 
-// the state at a particular moment in the game
-// it does not care how you got here.
-class GameState {
-  constructor() {
-    this.arenaSize = 8;
-    const mid = (this.arenaSize - 1) / 2;
-    this.players = [
-      new Player(Math.floor(mid) - 2),
-      new Player(Math.ceil(mid) + 2),
-    ];
+const urlParams = new URLSearchParams(window.location.search);
+
+/**
+ * Game Rules
+ */
+
+// a new match keeps its fighters unless new ones were picked
+const nextMatchRuleset = (match, names) =>
+  names ? withFighters(match.ruleset, names) : match.ruleset;
+
+/**
+ * This represents the actual state of the game.
+ * Each player sends messages to it and recieves updates from it for their local client.
+ * It happens to live on one player's machine, but they shouldn't read from it directly.
+ */
+class GameServer {
+  // remotePlayer is the index of the player on the other end of the data
+  // channel, or null when both players are on this machine.
+  constructor(remotePlayer = null) {
+    this.match = new Match(ruleset);
+    this.game = this.match.game;
+    this.remotePlayer = remotePlayer;
+    // { playerIndex, transport } for each client, playerIndex is null for a
+    // client that only watches
+    this.connections = [];
+    // a selectMove waiting for the other player to reveal their move
+    this.pendingSelection = null;
+    this.verifying = false;
+    this.cheater = null;
+    // each player's fighter before an online match starts, null once it has
+    this.picks = remotePlayer === null ? null : [null, null];
   }
 
-  applyMove({ playerIndex, move }) {
-    let offset = Math.sign(0.5 - playerIndex);
-    const player = this.players[playerIndex];
-    console.log("players", this.players);
-    console.log("player", playerIndex, player);
-    player.nextPosition = player.position;
-    switch (move) {
-      case "Charge":
-        offset *= 2;
+  // events arriving on transport are playerIndex's
+  connect(playerIndex, transport) {
+    const connection = { playerIndex: playerIndex, transport: transport };
+    this.connections.push(connection);
+    transport.subscribe((event) => this.handle(event, playerIndex));
+    transport.onClose(() => {
+      this.connections = this.connections.filter((c) => c !== connection);
+    });
+  }
+
+  // transport is sent everything all players are, but can't play
+  watch(transport) {
+    this.connect(null, transport);
+  }
+
+  sendEventToClients(event) {
+    console.log("client event", event);
+    this.connections.forEach((c) => c.transport.send(event));
+  }
+
+  sendEventToClient(playerIndex, event) {
+    this.connections
+      .filter((c) => c.playerIndex === playerIndex)
+      .forEach((c) => c.transport.send(event));
+  }
+
+  // an online match starts from the server, once both players picked
+  startMatch(fighters) {
+    this.match.reset(nextMatchRuleset(this.match, fighters));
+    this.sendEventToClients({ type: "newMatch", fighters: fighters });
+  }
+
+  reject(sender, event, error) {
+    console.log("rejected event", event, error);
+    this.sendEventToClient(sender, {
+      type: "error",
+      ...error,
+      rejected: event && event.type,
+    });
+    return false;
+  }
+
+  // the protocol state the match itself doesn't know about
+  validateProtocol(event) {
+    // a resync changes nothing, so it's fine mid-reveal or after cheating
+    if (event && event.type === "resyncRequest") {
+      return null;
+    }
+    if (this.cheater !== null) {
+      return { code: "cheatDetected", message: "The game was stopped" };
+    }
+    if (event && event.type === "pickFighter" && !this.picks) {
+      return { code: "notAllowed", message: "The match has already started" };
+    }
+    const revealing = event && event.type === "revealMove";
+    if (this.pendingSelection && (!revealing || this.verifying)) {
+      return { code: "awaitingReveal", message: "Waiting for a reveal" };
+    }
+    if (!this.pendingSelection && revealing) {
+      return { code: "notAllowed", message: "No reveal was requested" };
+    }
+    return null;
+  }
+
+  // sender is the player index the event arrived from
+  handle(event, sender) {
+    const error =
+      this.validateProtocol(event) ??
+      validateEvent(this.match, event, sender, this.remotePlayer === null);
+    if (error) {
+      return this.reject(sender, event, error);
+    }
+    switch (event.type) {
+      case "selectMove":
+        if (!this.game.awaitingReveal()) {
+          return this.applySelection(event, null);
+        }
+        // the waiting player has to open their commitment first
+        this.pendingSelection = event;
+        this.requestReveal();
         break;
-      case "Retreat":
-        offset *= -1;
+      case "revealMove":
+        this.checkReveal(event.reveal, sender);
         break;
-      case "Advance":
+      case "undoMove":
+        const changed = this.match.undo();
+        if (!changed) {
+          return false;
+        }
+        this.sendEventToClients({
+          type: "undoMoves",
+        });
+        break;
+      case "redoMove":
+        if (!this.match.redo()) {
+          return false;
+        }
+        this.sendEventToClients({ type: "redoMoves" });
+        break;
+      case "pickFighter":
+        this.picks[sender] = event.fighter;
+        if (this.picks.every((name) => name !== null)) {
+          this.startMatch(this.picks);
+          this.picks = null;
+        }
+        break;
+      case "resyncRequest":
+        this.resync(sender);
+        break;
+      case "jumpToTurn":
+        if (!this.match.jumpTo(event.turn)) {
+          return false;
+        }
+        this.sendEventToClients({ type: "jumpToTurn", turn: event.turn });
+        break;
+      case "nextRound":
+        if (!this.match.nextRound()) {
+          return false;
+        }
+        this.sendEventToClients({ type: "nextRound" });
+        break;
+      case "newMatch":
+        this.match.reset(nextMatchRuleset(this.match, event.fighters));
+        this.sendEventToClients({ type: "newMatch", fighters: event.fighters });
         break;
       default:
-        return;
+        break;
     }
-    player.nextPosition += offset;
   }
 
-  applyAttack({ playerIndex, move }) {
-    const player = this.players[playerIndex];
-    const opponent = this.players[(playerIndex + 1) % 2];
-    switch (move) {
-      case "SwitchAttack":
-        const distance = Math.abs(player.position - opponent.position);
-        const attackRange = player.stance === "high" ? 2 : 1;
+  // asks the player who isn't selecting to open their committed move
+  requestReveal() {
+    const waiting = (this.game.activePlayer() + 1) % 2;
+    this.sendEventToClient(waiting, {
+      type: "requestReveal",
+      hash: this.game.nextCommands[waiting].hash,
+    });
+  }
 
-        opponent.isHit = distance === attackRange;
-        player.stance = player.stance === "high" ? "low" : "high";
-        return;
-      default:
-        return;
+  // Brings playerIndex's clients back in line after a dropped connection:
+  // the whole match, including the moves waiting for the next turn, and
+  // any reveal they were asked for that may have been lost.
+  resync(playerIndex) {
+    this.sendEventToClient(playerIndex, {
+      type: "snapshot",
+      match: serializeMatch(this.match),
+    });
+    const waiting = (this.game.activePlayer() + 1) % 2;
+    if (this.pendingSelection && !this.verifying && waiting === playerIndex) {
+      this.requestReveal();
     }
   }
 
-  getPlayerStates() {
-    return Array.from(
-      this.players.map((p) => {
-        return {
-          health: p.health,
-          position: p.position,
-          stance: p.stance,
-        };
-      })
-    );
+  // revealed is the other player's move, if it had been committed
+  applySelection(event, revealed) {
+    if (!this.match.applyMoves(event.move[0], event.move[1])) {
+      return false;
+    }
+    this.sendEventToClients({
+      type: "applyMoves",
+      move: event.move,
+      revealed: revealed,
+      checksum: stateChecksum(this.game),
+    });
+    return true;
   }
 
-  setPlayerStates(states) {
-    states.forEach((s, i) => {
-      const player = this.players[i];
-      player.health = s.health;
-      player.position = s.position;
-      player.stance = s.stance;
-      player.nextPosition = s.position;
-      player.isHit = false;
-    });
+  async checkReveal(reveal, sender) {
+    this.verifying = true;
+    const honest = await verifyReveal(this.game.nextCommands[sender], reveal);
+    this.verifying = false;
+    const selection = this.pendingSelection;
+    this.pendingSelection = null;
+    if (!honest) {
+      this.cheater = sender;
+      this.sendEventToClients({
+        type: "cheatDetected",
+        playerIndex: sender,
+        reason: "their revealed move doesn't match their commitment",
+      });
+      return false;
+    }
+    const revealed = { playerIndex: sender, move: reveal.move };
+    this.game.reveal(revealed);
+    return this.applySelection(selection, revealed);
   }
+}
 
-  apply(moves) {
-    // store state before
-    const deltas = {
-      before: this.getPlayerStates(),
-    };
+class GameClient {
+  constructor(playerIndex) {
+    this.playerIndex = playerIndex;
+    this.match = new Match(ruleset);
+    this.game = this.match.game;
+    this.selectedMoves = [null, null];
+    this.changed = false;
+    this.isBot = false;
+    // the other player's client when playing online, it only mirrors
+    this.isRemote = false;
+    this.lastError = null;
+    this.cheatDetected = null;
+    // set when our match stopped matching the server's, see checkSync
+    this.desync = null;
+    // reveals for our committed moves, by commitment hash
+    this.secrets = new Map();
+    // the transport to the GameServer
+    this.connection = null;
+    this.unsubscribe = () => {};
+  }
 
-    // apply every move
-    // moves shouldn't change things, just indicate intention
-    moves.forEach((m, i) =>
-      this.applyMove(m, this.players[i], this.players[(i + 1) % 2])
-    );
+  // listens to the server on transport, instead of any it listened to before
+  connect(transport) {
+    this.unsubscribe();
+    this.connection = transport;
+    this.unsubscribe = transport.subscribe((event) => this.handle(event));
+  }
 
-    // keep players in bounds
-    this.players.forEach((p) => {
-      p.nextPosition = Math.clamp(
-        p.nextPosition ?? p.position,
-        0,
-        this.arenaSize - 1
-      );
+  disconnect() {
+    this.unsubscribe();
+    this.unsubscribe = () => {};
+    this.connection = null;
+  }
+
+  activePlayer() {
+    return this.game.activePlayer();
+  }
+
+  async submitMoves() {
+    if (this.selectedMoves.some((v) => v === null)) {
+      return false;
+    }
+    const [first, second] = this.selectedMoves;
+    const turn = this.game.history.length;
+    this.selectedMoves = [null, null];
+    // only a commitment to the second move leaves this machine
+    const { commitment, reveal } = await createCommitment(second);
+    this.secrets.set(commitment.hash, reveal);
+    this.sendEventToServer({
+      type: "selectMove",
+      move: [first, commitment],
+      turn: turn,
     });
+  }
 
-    // resolve movement
-    if (this.players[0].nextPosition < this.players[1].nextPosition) {
-      this.players.forEach((p) => {
-        p.position = p.nextPosition;
-        p.nextPosition = null;
-      });
+  // whether there is stamina for move after the moves already selected
+  canSelect(move) {
+    const selected = this.selectedMoves
+      .filter((v) => v !== null)
+      .map((v) => v.move);
+    if (selected.length >= 2) {
+      return true;
     }
+    return this.game.state.canAfford(this.playerIndex, [...selected, move]);
+  }
 
-    // see who's hit
-    moves.forEach((m, i) =>
-      this.applyAttack(m, this.players[i], this.players[(i + 1) % 2])
+  selectMove(move) {
+    console.log(this.selectedMoves);
+    if (move === "Submit") {
+      this.submitMoves();
+      return;
+    }
+
+    // check if it's our turn to move
+    if (
+      this.isRemote ||
+      this.match.roundOutcome ||
+      this.playerIndex !== this.activePlayer()
+    ) {
+      return;
+    }
+
+    // check if we've already selected this move.
+    const moveIndex = this.selectedMoves.findIndex(
+      (v) => v !== null && v.move === move
     );
 
-    // resolve damage
-    this.players.forEach((p) => {
-      p.health -= p.isHit ? 1 : 0;
-      p.isHit = false;
-    });
+    const firstEmptyIndex = this.selectedMoves.findIndex((v) => v === null);
+    if (moveIndex >= 0) {
+      this.selectedMoves.splice(moveIndex, 1);
+      this.selectedMoves.push(null);
+      // a second move may have relied on stamina the first one gave
+      const remaining = this.selectedMoves.filter((v) => v !== null);
+      if (
+        !this.game.state.canAfford(
+          this.playerIndex,
+          remaining.map((v) => v.move)
+        )
+      ) {
+        this.selectedMoves = [null, null];
+      }
+    }
+    // there has to be enough stamina left for it
+    else if (!this.canSelect(move)) {
+      return;
+    }
+    // check if they've already selected 2 moves
+    else if (firstEmptyIndex >= 0) {
+      this.selectedMoves[firstEmptyIndex] = {
+        playerIndex: this.playerIndex,
+        move: move,
+      };
+    }
+  }
 
-    this.players.forEach((p) => console.log(p));
+  sendEventToServer(event) {
+    console.log("sendEventToServer", event);
+    if (this.connection) {
+      this.connection.send(event);
+    } else {
+      console.log("No server to send to", event);
+    }
+  }
 
-    deltas.after = this.getPlayerStates();
-    return deltas;
+  handle(event) {
+    switch (event.type) {
+      case "applyMoves":
+        console.log("applyMoves", event.move);
+        if (event.revealed) {
+          this.game.reveal(event.revealed);
+        }
+        this.match.applyMoves(event.move[0], event.move[1]);
+        this.checkSync(event.checksum);
+        break;
+      case "requestReveal":
+        const reveal = this.secrets.get(event.hash);
+        if (reveal) {
+          this.sendEventToServer({ type: "revealMove", reveal: reveal });
+        }
+        return;
+      case "cheatDetected":
+        this.cheatDetected = event;
+        break;
+      case "snapshot":
+        // moves picked before it may not fit any more
+        this.selectedMoves = [null, null];
+        try {
+          loadMatch(this.match, event.match);
+        } catch (e) {
+          console.log("Couldn't load snapshot", e);
+          this.lastError = { message: e.message, time: Date.now() };
+          return;
+        }
+        this.explainDesync();
+        break;
+      case "undoMoves":
+        console.log("undoMoves");
+        this.match.undo();
+        break;
+      case "redoMoves":
+        this.match.redo();
+        break;
+      case "jumpToTurn":
+        this.match.jumpTo(event.turn);
+        break;
+      case "nextRound":
+        this.match.nextRound();
+        break;
+      case "newMatch":
+        this.match.reset(nextMatchRuleset(this.match, event.fighters));
+        break;
+      case "error":
+        console.log("server rejected event", event);
+        this.lastError = { ...event, time: Date.now() };
+        return;
+      default:
+        console.log("Unknown client event", event);
+        return;
+    }
+    this.changed = true;
+  }
+
+  // Compares our match with the server's checksum for the turn it just
+  // played, and asks for the server's match when they differ. desync is
+  // { turn, expected, actual, players, fields }, players being ours at that
+  // turn and fields what differs from the server's, once its snapshot came.
+  checkSync(checksum) {
+    if (!checksum) {
+      return;
+    }
+    const local = stateChecksum(this.game);
+    if (local.turn === checksum.turn && local.hash === checksum.hash) {
+      return;
+    }
+    // the snapshot already asked for will fix this turn too
+    if (this.desync && !this.desync.fields) {
+      return;
+    }
+    console.log("Desync at turn", checksum.turn, checksum.hash, local);
+    this.desync = {
+      turn: checksum.turn,
+      expected: checksum.hash,
+      actual: local.hash,
+      players:
+        playerStatesAfter(this.game, checksum.turn) ??
+        this.game.state.getPlayerStates(),
+      fields: null,
+    };
+    // the other player's mirror is fixed by the snapshot we ask for
+    if (!this.isRemote) {
+      this.sendEventToServer({ type: "resyncRequest", turn: checksum.turn });
+    }
   }
 
-  undo(deltas) {
-    this.setPlayerStates(deltas.before);
+  // after a snapshot, works out where we went wrong
+  explainDesync() {
+    if (!this.desync || this.desync.fields) {
+      return;
+    }
+    const remote =
+      playerStatesAfter(this.game, this.desync.turn) ??
+      this.game.state.getPlayerStates();
+    this.desync.fields = diffPlayerStates(this.desync.players, remote);
   }
-}
 
-class Player {
-  constructor(start) {
-    this.stance = "high";
-    this.position = start;
-    this.nextPosition = null;
-    this.health = 2;
-    this.isHit = false;
+  hasUpdated() {
+    if (this.changed) {
+      this.changed = false;
+      return true;
+    }
+    return false;
   }
 }
+// Plays one side on its own, submitting moves whenever it becomes active.
+class AIClient extends GameClient {
+  constructor(playerIndex, difficulty) {
+    super(playerIndex);
+    this.difficulty = difficulty;
+    this.isBot = true;
+    this.thinking = null;
+  }
 
-class Command {
-  constructor(playerIndex, move) {
-    this.playerIndex = playerIndex;
-    this.move = move;
+  handle(event) {
+    super.handle(event);
+    // whatever changed the match may have left it to the bot to move
+    switch (event.type) {
+      case "applyMoves":
+      case "nextRound":
+      case "newMatch":
+      case "undoMoves":
+      case "redoMoves":
+      case "jumpToTurn":
+      case "snapshot":
+        this.think();
+        break;
+      default:
+        break;
+    }
+  }
+
+  canMove() {
+    return isBotsMove(this.match, this.playerIndex);
+  }
+
+  // waits a moment so the reply isn't sent while the server is still handing
+  // out the last event, and so the turn doesn't resolve instantly.
+  think() {
+    if (this.thinking || !this.canMove()) {
+      return;
+    }
+    this.thinking = setTimeout(() => {
+      this.thinking = null;
+      if (!this.canMove()) {
+        return;
+      }
+      this.selectedMoves = chooseMoves(this.game, this.difficulty);
+      this.submitMoves();
+    }, 600);
+  }
+
+  stop() {
+    clearTimeout(this.thinking);
+    this.thinking = null;
   }
 }
 
 const keyPressed = (event) => {
+  if (replayPlayer) {
+    replayKeyPressed(event);
+    return;
+  }
+  // there's only history to step through during a game
+  if (manager.state !== "InGame" && manager.state !== "GameOver") {
+    return;
+  }
+  const client = manager.localClient();
   switch (event.code) {
     case "Backspace":
-      clients[0].sendEventToServer({ type: "undoMove" });
+    case "ArrowLeft":
+      client.sendEventToServer({ type: "undoMove" });
+      return;
+    case "ArrowRight":
+      client.sendEventToServer({ type: "redoMove" });
+      return;
+    case "Home":
+      client.sendEventToServer({ type: "jumpToTurn", turn: 0 });
+      return;
+    case "End":
+      client.sendEventToServer({
+        type: "jumpToTurn",
+        turn: client.game.lastTurn(),
+      });
       return;
     default:
       return;
   }
 };
 
-let server = new GameServer();
-const clients = [new GameClient(0), new GameClient(1)];
-const game = clients[0].game;
+const manager = new GameManager();
+const game = manager.clients[0].game;
+
+/**
+ * Saving
+ */
+const autosaveKey = "theDuel.autosave";
+
+// the reveals every client on this machine holds, so hidden moves survive
+const localReveals = () =>
+  new Map(manager.clients.flatMap((c) => [...c.secrets]));
+
+const loadLocalMatch = (doc) => {
+  loadMatch(manager.server.match, doc);
+  manager.clients.forEach((c) => loadMatch(c.match, doc));
+};
+
+// only local games are saved, an online game lives on the host
+const autosave = () => {
+  if (manager.online()) {
+    return;
+  }
+  const doc = serializeMatch(manager.server.match, localReveals());
+  localStorage.setItem(autosaveKey, JSON.stringify(doc));
+};
+
+// ?game=<code> opens a shared position, otherwise we resume the autosave
+const loadSavedGame = () => {
+  // read afresh, the code is taken out of the URL once it's loaded
+  const code = new URLSearchParams(window.location.search).get("game");
+  try {
+    if (code) {
+      loadLocalMatch(decodeGameCode(code));
+      // later reloads should resume from the autosave instead
+      const url = new URL(window.location);
+      url.searchParams.delete("game");
+      window.history.replaceState(null, "", url.toString());
+      return true;
+    }
+    const saved = localStorage.getItem(autosaveKey);
+    if (saved) {
+      loadLocalMatch(JSON.parse(saved));
+      return true;
+    }
+  } catch (e) {
+    console.log("Couldn't load saved game", e);
+    localStorage.removeItem(autosaveKey);
+  }
+  return false;
+};
+
+// puts the position in the URL next to hostId and copies the link
+const shareGame = () => {
+  try {
+    const code = encodeGameCode(manager.clients[0].game, localReveals());
+    const url = new URL(window.location);
+    url.searchParams.set("game", code);
+    window.history.replaceState(null, "", url.toString());
+    navigator.clipboard?.writeText(url.toString());
+  } catch (e) {
+    console.log("Couldn't share game", e);
+    manager.clients[0].lastError = { message: e.message, time: Date.now() };
+  }
+};
+
+// the notation goes to the clipboard for pasting into chat or a bug report
+const copyNotation = () => {
+  try {
+    const text = exportNotation(manager.clients[0].game, {
+      reveals: localReveals(),
+    });
+    navigator.clipboard?.writeText(text);
+  } catch (e) {
+    console.log("Couldn't write notation", e);
+    manager.clients[0].lastError = { message: e.message, time: Date.now() };
+  }
+};
+
+// opens the pasted game through a game code, so a game with another
+// ruleset gets an arena and buttons to match
+const pasteNotation = () => {
+  const text = window.prompt("Paste a game in notation");
+  if (!text) {
+    return;
+  }
+  try {
+    const known = [
+      ruleset,
+      classicRuleset,
+      ...Object.values(rulesets).map(parseRuleset),
+    ];
+    const { game } = importNotation(text, known);
+    const url = new URL(window.location);
+    url.searchParams.set("game", encodeGameCode(game));
+    window.location.assign(url.toString());
+  } catch (e) {
+    console.log("Couldn't read notation", e);
+    manager.clients[0].lastError = { message: e.message, time: Date.now() };
+  }
+};
+
+manager.hasGame = loadSavedGame();
+
+/**
+ * Replays
+ */
+const replaysKey = "theDuel.replays";
+const maxStoredReplays = 10;
+
+const storedReplays = () => {
+  try {
+    return JSON.parse(localStorage.getItem(replaysKey)) ?? [];
+  } catch (e) {
+    return [];
+  }
+};
+
+// newest first, undoing and redoing the last turn doesn't store it twice
+const storeReplay = (replay) => {
+  const replays = storedReplays();
+  if (
+    replays.length &&
+    JSON.stringify(replays[0].turns) === JSON.stringify(replay.turns)
+  ) {
+    return;
+  }
+  replays.unshift(replay);
+  localStorage.setItem(
+    replaysKey,
+    JSON.stringify(replays.slice(0, maxStoredReplays))
+  );
+};
+
+const downloadReplay = (replay) => {
+  const blob = new Blob([JSON.stringify(replay)], {
+    type: "application/json",
+  });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `duel-round-${replay.round}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+};
+
+const openReplayFile = (onOpen) => {
+  const input = document.createElement("input");
+  input.type = "file";
+  input.accept = ".json,application/json";
+  input.onchange = async () => {
+    const file = input.files[0];
+    if (!file) {
+      return;
+    }
+    try {
+      onOpen(parseReplay(await file.text()));
+    } catch (e) {
+      console.log("Couldn't open replay", e);
+      manager.clients[0].lastError = { message: e.message, time: Date.now() };
+    }
+  };
+  input.click();
+};
+
+manager.clients[0].match.subscribe((event) => {
+  if (event.type === "roundEnd") {
+    storeReplay(createReplay(manager.clients[0].game, event.round));
+  }
+});
+
+// while set, the screen shows the replay instead of the live game
+let replayPlayer = null;
+let onReplayExit = null;
+
+const startReplay = (replay, onExit = () => gameUI.showState()) => {
+  replayPlayer = new ReplayPlayer(replay);
+  onReplayExit = onExit;
+  gameGraphics.show(replayPlayer.game);
+  gameUI.showReplay(replayPlayer);
+  replayPlayer.play();
+};
+
+const stopReplay = () => {
+  replayPlayer = null;
+  gameGraphics.show(game);
+  gameUI.hideReplay();
+  onReplayExit();
+};
+
+const replayKeyPressed = (event) => {
+  switch (event.code) {
+    case "Space":
+      replayPlayer.toggle();
+      return;
+    case "ArrowLeft":
+      replayPlayer.pause();
+      replayPlayer.stepBack();
+      return;
+    case "ArrowRight":
+      replayPlayer.pause();
+      replayPlayer.step();
+      return;
+    case "Home":
+      replayPlayer.seek(0);
+      return;
+    case "End":
+      replayPlayer.seek(replayPlayer.length());
+      return;
+    case "Escape":
+      stopReplay();
+      return;
+    default:
+      return;
+  }
+};
 
 /**
  * Game Graphics
  */
 
-const tileMesh = (matcapTexture) => {
-  const geo = new THREE.BoxGeometry(0.2, 0.1, 0.5);
+// every tile type has its own matcap and thickness, so arenas read at a glance
+const tileLooks = {
+  floor: { texture: "matcap03", height: 0.1 },
+  hazard: { texture: "matcap01", height: 0.16 },
+  slippery: { texture: "matcap02", height: 0.04 },
+};
+
+const tileMesh = (type) => {
+  const look = tileLooks[type.name];
+  const geo = new THREE.BoxGeometry(0.2, look.height, 0.5);
   const mat = new THREE.ShaderMaterial({
     vertexShader: matcapVertexShader,
     fragmentShader: matcapFragmentShader,
     uniforms: {
       uMatcap: {
         type: "sampler2D",
-        value: matcapTexture,
+        value: textures.get(look.texture),
       },
     },
   });
   const mesh = new THREE.Mesh(geo, mat);
+  // tiles of every height sit flush with the floor
+  mesh.position.y = -0.45 + look.height / 2;
   scene.add(mesh);
   return mesh;
 };
@@ -964,78 +2096,134 @@ class GameGraphics {
     this.game = game;
     this.players = [];
     this.tiles = [];
+    this.spawnedRuleset = null;
+    this.animatedTurns = 0;
   }
 
+  // respawned whenever the game being drawn changes ruleset, since the
+  // fighters and arena come from it
   spawnMeshes() {
-    this.players.push(getModel("samurai"));
-    this.players.push(getModel("samurai"));
+    this.spawnedRuleset = this.game.ruleset;
+    this.players.forEach((mesh) => scene.remove(mesh));
+    this.players = [0, 1].map((i) => {
+      const { model, texture } = this.game.ruleset.fighters?.[i] ?? {};
+      return getModel(model ?? "samurai", texture);
+    });
     console.log("players", this.players);
 
-    this.tiles = Array(game.state.arenaSize)
+    const { arenaSize } = this.game.state;
+    this.tiles.forEach((mesh) => scene.remove(mesh));
+    this.tiles = Array(arenaSize)
       .fill(0)
       .map((_, i) => {
-        const mesh = tileMesh(textures.get("matcap03"));
-        mesh.position.x = 0.7 * (i - (game.state.arenaSize - 1) / 2);
-        mesh.position.y = -0.4;
+        const mesh = tileMesh(tileAt(this.game.ruleset, i));
+        mesh.position.x = 0.7 * (i - (arenaSize - 1) / 2);
         return mesh;
       });
   }
 
+  // switches to drawing another game, like a replay
+  show(game) {
+    this.game = game;
+    this.animatedTurns = game.history.length;
+  }
+
+  // stance is the stance after the move resolved
+  animateMove(mesh, move, stance) {
+    const otherStance = stance === "high" ? "low" : "high";
+    switch (move) {
+      case "SwitchAttack":
+        mesh.mixer.playAnimation(`slash.${otherStance}`);
+        break;
+      case "Feint":
+        // a quick swing that never commits
+        mesh.mixer.playAnimation(`slash.${otherStance}`, THREE.LoopOnce, 2);
+        break;
+      case "Parry":
+        mesh.mixer.playAnimation(`slash.${stance}`, THREE.LoopOnce, -1);
+        break;
+      case "Block":
+        // frozen in guard until the next turn
+        mesh.mixer.playAnimation(`walk.${stance}`, THREE.LoopOnce, 0);
+        break;
+      case "Hold":
+      default:
+        mesh.mixer.playAnimation(`walk.${stance}`);
+        break;
+    }
+  }
+
+  // effects for what actually happened during the turn
+  animateEvents(events) {
+    events.forEach((event) => {
+      const mesh = this.players[event.playerIndex];
+      switch (event.type) {
+        case "hit":
+          playSound("swoosh01");
+          gsap.fromTo(mesh.position, { y: 0.15 }, { y: 0, duration: 0.3 });
+          break;
+        case "movementBlockedByCollision":
+        case "clampedAtEdge":
+          gsap.fromTo(mesh.scale, { x: 0.8 }, { x: 1, duration: 0.3 });
+          break;
+        case "clash":
+          if (event.playerIndex === 0) {
+            playSound("swoosh01");
+          }
+          gsap.fromTo(mesh.scale, { x: 0.7 }, { x: 1, duration: 0.4 });
+          break;
+        case "pushedBack":
+          gsap.fromTo(mesh.position, { y: 0.1 }, { y: 0, duration: 0.3 });
+          break;
+        case "slid":
+          gsap.fromTo(mesh.scale, { x: 1.2 }, { x: 1, duration: 0.4 });
+          break;
+        case "hazard":
+          playSound("swoosh01");
+          gsap.fromTo(mesh.position, { y: 0.2 }, { y: 0, duration: 0.3 });
+          break;
+        case "ringOut":
+          gsap.to(mesh.position, { y: -1, duration: 0.6, ease: "power2.in" });
+          break;
+        case "died":
+          gsap.to(mesh.scale, { y: 0.1, duration: 0.5 });
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
   animateGame = (elapsedTime, deltaTime, moved) => {
-    let gameEnded = false;
+    const game = this.game;
+    // nothing is spawned until loading finishes
+    if (this.players.length && this.spawnedRuleset !== game.ruleset) {
+      this.spawnMeshes();
+    }
     this.players.forEach((mesh, i) => {
       const player = game.getPlayer(i);
-      if (player.health === 0) {
-        gameEnded = true;
-      }
       mesh.position.x =
         0.7 * (player.position - (game.state.arenaSize - 1) / 2);
       mesh.lookAt(new THREE.Vector3(-100 * (i - 0.5), 0, 0));
       if (moved) {
-        console.log("move history", game.history);
         const { move } = game.lastCommand(i);
-        switch (move) {
-          case "SwitchAttack":
-            if (player.stance === "high") {
-              mesh.mixer.playAnimation("slash.low");
-            } else {
-              mesh.mixer.playAnimation("slash.high");
-            }
-            break;
-          default:
-            if (player.stance === "high") {
-              mesh.mixer.playAnimation("walk.high");
-            } else {
-              mesh.mixer.playAnimation("walk.low");
-            }
+        this.animateMove(mesh, move, player.stance);
+        if (player.health > 0) {
+          mesh.scale.y = 1;
+          mesh.position.y = 0;
         }
       }
     });
+    // only new turns get effects, undoing shouldn't replay them
+    if (moved && game.history.length > this.animatedTurns) {
+      this.animateEvents(game.lastEvents());
+    }
+    this.animatedTurns = game.history.length;
     scene.traverse(function (child) {
       if (child.mixer) {
         child.mixer.update(deltaTime);
       }
     });
-    if (!hasEnded && gameEnded) {
-      hasEnded = true;
-      const greyed = document.createElement("div");
-      greyed.setAttribute("class", "greyed");
-      overlay.appendChild(greyed);
-      const menu = document.createElement("div");
-      menu.setAttribute("class", "menu");
-      greyed.appendChild(menu);
-      const textMenu = document.createElement("div");
-      textMenu.setAttribute("class", "textMenu");
-      textMenu.innerHTML = "GAME OVER";
-      menu.appendChild(textMenu);
-      const buttonHolder = document.createElement("div");
-      buttonHolder.setAttribute("class", "buttonHolder");
-      menu.appendChild(buttonHolder);
-      const reset = document.createElement("button");
-      reset.setAttribute("class", "reset");
-      reset.textContent = "Reset";
-      buttonHolder.appendChild(reset);
-    }
   };
 }
 
@@ -1045,6 +2233,15 @@ const gameGraphics = new GameGraphics(game);
  *
  */
 
+// without a secure context, like a LAN address, there's no clipboard
+const copyText = (text) => {
+  if (navigator.clipboard) {
+    navigator.clipboard.writeText(text);
+  } else {
+    window.prompt("Copy this", text);
+  }
+};
+
 const makeDiv = (parent, classes, text = null) => {
   const div = document.createElement("div");
   classes.forEach((c) => div.classList.add(c));
@@ -1064,32 +2261,138 @@ const makeButton = (parent, classes, text, onClick) => {
 
 const makeActionButton = (parent, playerIndex, text, move) => {
   const button = makeButton(parent, ["actionButton"], text, () => {
-    clients[playerIndex].selectMove(move);
+    manager.clients[playerIndex].selectMove(move);
   });
   const counter = makeDiv(button.button, ["counter"]);
 
   return { button: button.button, counter: counter.div };
 };
 
+// makeEvent builds the server event when clicked
+const makeHistoryButton = (parent, text, makeEvent) =>
+  makeButton(parent, ["historyButton"], text, () => {
+    manager.localClient().sendEventToServer(makeEvent());
+  });
+
 const makeSubmitButton = (parent, game) =>
   makeButton(parent, ["submitButton"], "Submit", () => {
-    clients[game.activePlayer()].selectMove("Submit");
+    manager.clients[game.activePlayer()].selectMove("Submit");
   });
 const actionMenu = (parent) => makeDiv(parent, ["actionMenu"]);
 const makeOverlay = (parent) => makeDiv(parent, ["overlay"]);
 const makeHealthBar = (parent) => makeDiv(parent, ["health"]);
+
+// health, and stamina when the ruleset uses it
+const describeVitals = (game, playerIndex) => {
+  const player = game.getPlayer(playerIndex);
+  const health = `Health: ${player.health}`;
+  if (player.stamina === null) {
+    return health;
+  }
+  const { maxStamina } = playerRules(game.ruleset, playerIndex);
+  return `${health} Stamina: ${player.stamina}/${maxStamina}`;
+};
 const makeHistoricAction = (parent) => makeDiv(parent, ["historicAction"]);
+const makeTurnLog = (parent) => makeDiv(parent, ["turnLog"]);
+const makeErrorMessage = (parent) => makeDiv(parent, ["errorMessage"]);
+const makeAnalysisPanel = (parent) => makeDiv(parent, ["analysisPanel"]);
+const makeDesyncPanel = (parent) => makeDiv(parent, ["desyncPanel"]);
+
+// for text from the other machine that goes into HTML
+const htmlEntities = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (c) => htmlEntities[c]);
+
+// what the dev overlay says about a GameClient's desync. The server's hash
+// and states came over the wire, so they're escaped.
+const describeDesync = (desync) => {
+  const heading =
+    `Desync at turn ${desync.turn}<br>` +
+    `server ${escapeHtml(desync.expected)}, ours ${desync.actual}`;
+  if (!desync.fields) {
+    return `${heading}<br>Resyncing...`;
+  }
+  if (!desync.fields.length) {
+    return `${heading}<br>No fields differ at that turn`;
+  }
+  const side = ["Left", "Right"];
+  const rows = desync.fields.map(
+    (f) =>
+      `<tr><th>${side[f.playerIndex]} ${escapeHtml(f.field)}</th>` +
+      `<td>${escapeHtml(f.local)}</td><td>${escapeHtml(f.remote)}</td></tr>`
+  );
+  const top = "<tr><th></th><th>ours</th><th>server</th></tr>";
+  return `${heading}<table>${top}${rows.join("")}</table>`;
+};
+
+const cellResult = (outcome, playerIndex) => {
+  if (!outcome) {
+    return "";
+  }
+  if (outcome.winner === null) {
+    return " DRAW";
+  }
+  return outcome.winner === playerIndex ? " WIN" : " LOSS";
+};
+
+// one cell of the payoff matrix: damage dealt and taken, then where both
+// players stand and their stances after the turn
+const describeCell = (cell, playerIndex) => {
+  const { dealt, taken } = cell.damage;
+  const positions = cell.players.map((p) => p.position).join("·");
+  const stances = cell.players.map((p) => p.stance[0].toUpperCase()).join("·");
+  const ended = cellResult(cell.outcome, playerIndex);
+  return `+${dealt} -${taken}${ended}<br>${positions} ${stances}`;
+};
+
+const payoffClass = (payoff) => {
+  if (payoff > 0) {
+    return "payoffGood";
+  }
+  return payoff < 0 ? "payoffBad" : "payoffEven";
+};
+
+// rows are our candidate moves, columns the opponent's possible replies
+const analysisTable = (matrix, ruleset, selected) => {
+  const label = (name) => allMoves(ruleset).find((m) => m.name === name).label;
+  const header = matrix.replies.map((reply) => {
+    const known = reply === matrix.knownReply ? " class='knownReply'" : "";
+    return `<th${known}>${label(reply)}</th>`;
+  });
+  const rows = matrix.rows.map((row) => {
+    const cells = row.cells.map((cell) => {
+      const payoff = payoffClass(cell.payoff);
+      const title = cell.events.map((e) => describeEvent(e)).join("\n");
+      const text = describeCell(cell, matrix.playerIndex);
+      return `<td class="${payoff}" title="${title}">${text}</td>`;
+    });
+    const chosen = row.move === selected ? " class='selectedMove'" : "";
+    const move = `<th>${label(row.move)}</th>`;
+    const summary = `${row.worst.toFixed(1)} / ${row.average.toFixed(1)}`;
+    return `<tr${chosen}>${move}${cells.join("")}<td>${summary}</td></tr>`;
+  });
+  const top = `<tr><th></th>${header.join("")}<th>worst / avg</th></tr>`;
+  return `<table>${top}${rows.join("")}</table>`;
+};
 
-let hasEnded = false;
 class GameUI {
   update(gameClients, game) {
+    const score = `Round ${this.match.round} (${this.match.scores.join(
+      " - "
+    )})`;
     if (game.activePlayer() === 0) {
-      this.actingPlayerNotification.innerText = "Left to Move";
+      this.actingPlayerNotification.innerText = `${score} Left to Move`;
     } else {
-      this.actingPlayerNotification.innerText = "Right to Move";
+      this.actingPlayerNotification.innerText = `${score} Right to Move`;
     }
     this.healthTrackers.forEach(
-      (h, i) => (h.div.innerHTML = `Health: ${game.getPlayer(i).health}`)
+      (h, i) => (h.div.innerHTML = describeVitals(game, i))
     );
     const selectedMoveCount = gameClients[
       game.activePlayer()
@@ -1111,7 +2414,30 @@ class GameUI {
     }
 
     this.submitButton.button.textContent = buttonText;
+    const errors = gameClients
+      .map((c) => c.lastError)
+      .filter((e) => e && Date.now() - e.time < 3000)
+      .sort((a, b) => b.time - a.time);
+    // error messages can come from the other player's machine, never HTML
+    this.errorMessage.div.textContent = errors.length ? errors[0].message : "";
+    const cheat = gameClients.map((c) => c.cheatDetected).find((c) => c);
+    if (cheat) {
+      const cheater = ["Left", "Right"][cheat.playerIndex];
+      this.errorMessage.div.textContent = `${cheater} cheated, ${cheat.reason}`;
+    }
 
+    const turn = game.history.length;
+    this.turnCounter.div.innerHTML = `Turn ${turn}/${game.lastTurn()}`;
+
+    this.turnLog.div.innerHTML = game
+      .lastEvents()
+      .map((e) => describeEvent(e))
+      .join("<br>");
+
+    this.updateAnalysis(gameClients, game);
+    this.updateDesync(gameClients);
+
+    // move names can come from the other player's machine, never HTML
     this.actionHistory.forEach((historyBar, i) => {
       historyBar.forEach((action, j) => {
         const div = action.div;
@@ -1119,38 +2445,42 @@ class GameUI {
           case 0:
           case 1:
             if (game.history.length > 1 - j) {
-              div.innerHTML =
+              div.textContent =
                 game.history[game.history.length - (2 - j)][0][i].move;
             } else {
-              div.innerHTML = "";
+              div.textContent = "";
             }
             break;
           case 2:
             if (i === game.activePlayer()) {
-              div.innerHTML = (
+              div.textContent = (
                 gameClients[i].selectedMoves[0] ?? { move: "" }
               ).move;
             } else {
-              div.innerHTML = game.history.length === 0 ? "Advance" : "???";
+              div.textContent =
+                game.history.length === 0 ? game.ruleset.openingMove : "???";
             }
             break;
           case 3:
             if (i === game.activePlayer()) {
-              div.innerHTML = (
+              div.textContent = (
                 gameClients[i].selectedMoves[1] ?? { move: "" }
               ).move;
             } else {
-              div.innerHTML = "";
+              div.textContent = "";
             }
             break;
           case 4:
           default:
-            div.innerHTML = "";
+            div.textContent = "";
             break;
         }
       });
     });
 
+    if (this.actionsRuleset !== this.game.ruleset) {
+      this.makeActions();
+    }
     this.game.state.players.forEach((_, i) => {
       this.actions[i].forEach((v, k) => {
         const button = v.button;
@@ -1160,7 +2490,11 @@ class GameUI {
         const moveIndex = gameClients[i].selectedMoves.findIndex(
           (m) => m !== null && m.move === k
         );
-        button.disabled = i !== game.activePlayer();
+        button.disabled =
+          i !== game.activePlayer() ||
+          gameClients[i].isBot ||
+          gameClients[i].isRemote ||
+          (moveIndex < 0 && !gameClients[i].canSelect(k));
         if (i !== game.activePlayer() || moveIndex < 0) {
           counter.textContent = "";
           classList.add("counter-none");
@@ -1174,10 +2508,400 @@ class GameUI {
       });
     });
   }
-  constructor(game, root) {
-    this.game = game;
+  // for whoever is choosing moves, unless it's a bot or the other side of
+  // an online game
+  updateAnalysis(gameClients, game) {
+    const client = gameClients[game.activePlayer()];
+    const visible =
+      this.showAnalysis &&
+      !client.isBot &&
+      !client.isRemote &&
+      !this.match.roundOutcome;
+    this.analysisPanel.div.classList.toggle("hidden", !visible);
+    if (!visible) {
+      this.analysisKey = null;
+      return;
+    }
+    const selected = client.selectedMoves[0]?.move ?? null;
+    // simulating every pair of moves is only worth it when something changed
+    const key = `${game.history.length}:${client.playerIndex}:${selected}`;
+    if (key === this.analysisKey) {
+      return;
+    }
+    this.analysisKey = key;
+    this.analysisPanel.div.innerHTML = analysisTable(
+      payoffMatrix(client.game, client.playerIndex),
+      game.ruleset,
+      selected
+    );
+  }
+
+  // the dev overlay, for the first client that desynced
+  updateDesync(gameClients) {
+    const desync = gameClients.map((c) => c.desync).find((d) => d);
+    const visible = this.showDevOverlay && !!desync;
+    this.desyncPanel.div.classList.toggle("hidden", !visible);
+    if (!visible) {
+      this.desyncKey = null;
+      return;
+    }
+    const fields = desync.fields ? desync.fields.length : "waiting";
+    const key = `${desync.turn}:${desync.expected}:${fields}`;
+    if (key === this.desyncKey) {
+      return;
+    }
+    this.desyncKey = key;
+    this.desyncText.div.innerHTML = describeDesync(desync);
+  }
+
+  // buttons is a list of [text, onClick]
+  showMenu(text, buttons) {
+    this.hideMenu();
+    const greyed = makeDiv(this.overlay.div, ["greyed"]).div;
+    const menu = makeDiv(greyed, ["menu"]).div;
+    makeDiv(menu, ["textMenu"], text);
+    const buttonHolder = makeDiv(menu, ["buttonHolder"]).div;
+    buttons.forEach(([buttonText, onClick]) =>
+      makeButton(buttonHolder, ["reset"], buttonText, onClick)
+    );
+  }
+
+  // what to show over the arena for where the manager is
+  showState() {
+    const manager = this.manager;
+    const leave = ["Leave", () => manager.leave()];
+    switch (manager.state) {
+      case "Start":
+        this.showStartMenu();
+        break;
+      case "JoinLobby":
+        if (manager.via === "manual") {
+          this.showSignalMenu();
+          break;
+        }
+        this.showMenu("JOINING<br>Looking for the other player", [leave]);
+        break;
+      case "WaitingInLobby":
+        if (manager.via === "manual") {
+          this.showSignalMenu();
+          break;
+        }
+        this.showMenu(
+          manager.lobbyId
+            ? `WAITING FOR AN OPPONENT<br>${
+                manager.via === "tab"
+                  ? "Open the link to this page in another tab"
+                  : "Send them the link to this page"
+              }`
+            : "OPENING A LOBBY",
+          [
+            ...(manager.lobbyId
+              ? [["Copy Link", () => copyText(window.location.href)]]
+              : []),
+            leave,
+          ]
+        );
+        break;
+      case "Connected":
+        if (manager.picked) {
+          const label = fighters[manager.picked].label;
+          this.showMenu(
+            `CONNECTED<br>${label} is ready, waiting for the other player`,
+            [leave]
+          );
+        } else {
+          this.showFighterMenu(
+            "CONNECTED<br>Choose your fighter",
+            (name) => manager.pickFighter(name),
+            () => manager.leave()
+          );
+        }
+        break;
+      case "InGame":
+        this.refreshMenu();
+        break;
+      case "GameOver":
+        this.showGameOver();
+        break;
+      case "Reconnecting":
+        this.showMenu("RECONNECTING<br>Trying to reach the other player", [
+          leave,
+        ]);
+        break;
+      default:
+        break;
+    }
+  }
+
+  // connecting by hand, the host pastes an answer and the guest an offer
+  showSignalMenu() {
+    const manager = this.manager;
+    const hosting = manager.state === "WaitingInLobby";
+    const code = manager.signalCode;
+    const copy = ["Copy Code", () => copyText(code)];
+    const paste = (prompt) => () => {
+      const text = window.prompt(prompt);
+      if (text) {
+        manager.pasteSignal(text);
+      }
+    };
+    const leave = ["Leave", () => manager.leave()];
+    if (hosting && !code) {
+      this.showMenu("PREPARING A CODE", [leave]);
+    } else if (hosting) {
+      this.showMenu(
+        "WAITING FOR AN OPPONENT<br>Send them this code, then paste the code they send back",
+        [copy, ["Paste Answer", paste("Paste the guest's code")], leave]
+      );
+    } else if (!code) {
+      this.showMenu("JOIN BY CODE<br>Paste the code the host sent you", [
+        ["Paste Code", paste("Paste the host's code")],
+        leave,
+      ]);
+    } else {
+      this.showMenu(
+        "ANSWER READY<br>Send this code back to the host, the game starts when they paste it",
+        [copy, leave]
+      );
+    }
+  }
+
+  showOnlineMenu() {
+    const manager = this.manager;
+    this.showMenu("PLAY ONLINE", [
+      ["Host Online", () => manager.hostLobby("webrtc")],
+      ["Host by Code", () => manager.hostLobby("manual")],
+      ["Join by Code", () => manager.joinByCode()],
+      ["Two Tabs", () => manager.hostLobby("tab")],
+      ["Back", () => this.showStartMenu()],
+    ]);
+  }
+
+  // onPick is given the chosen fighter's name
+  showFighterMenu(title, onPick, onBack) {
+    this.showMenu(title, [
+      ...fighterNames.map((name) => [fighters[name].label, () => onPick(name)]),
+      ["Back", onBack],
+    ]);
+  }
+
+  // character select for both players, then the match starts
+  pickTwoPlayers() {
+    const back = () => this.showStartMenu();
+    this.showFighterMenu(
+      "LEFT PLAYER",
+      (left) =>
+        this.showFighterMenu(
+          "RIGHT PLAYER",
+          (right) => this.manager.playLocal([left, right]),
+          back
+        ),
+      back
+    );
+  }
+
+  // the computer picks its fighter at random
+  pickVersusAI(difficulty) {
+    this.showFighterMenu(
+      "CHOOSE YOUR FIGHTER",
+      (left) => {
+        const right =
+          fighterNames[Math.floor(Math.random() * fighterNames.length)];
+        this.manager.playLocal([left, right], difficulty);
+      },
+      () => this.showStartMenu()
+    );
+  }
+
+  showReplayMenu(onBack) {
+    const replays = storedReplays().map((replay) => [
+      `Round ${replay.round}: ${describeOutcome(replay.outcome)}`,
+      () => startReplay(parseReplay(replay), () => this.showReplayMenu(onBack)),
+    ]);
+    this.showMenu(replays.length ? "REPLAYS" : "REPLAYS<br>None saved yet", [
+      ...replays,
+      [
+        "Open File",
+        () =>
+          openReplayFile((replay) =>
+            startReplay(replay, () => this.showReplayMenu(onBack))
+          ),
+      ],
+      ["Back", onBack],
+    ]);
+  }
+
+  showStartMenu() {
+    const manager = this.manager;
+    const versusAI = Object.keys(difficulties).map((difficulty) => [
+      `vs AI (${difficulty})`,
+      () => this.pickVersusAI(difficulty),
+    ]);
+    const resume = manager.hasGame
+      ? [["Continue", () => manager.continueGame()]]
+      : [];
+    this.showMenu("THE DUEL", [
+      ...resume,
+      ["Two Players", () => this.pickTwoPlayers()],
+      ...versusAI,
+      ["Play Online", () => this.showOnlineMenu()],
+      ["Paste Game", pasteNotation],
+      ["Replays", () => this.showReplayMenu(() => this.showStartMenu())],
+    ]);
+  }
+
+  showGameOver() {
+    const manager = this.manager;
+    const { winner } = this.match.result();
+    const text =
+      winner === null
+        ? "The match is drawn"
+        : `${["Left", "Right"][winner]} wins the match`;
+    const rematch = () =>
+      manager.localClient().sendEventToServer({ type: "newMatch" });
+    this.showMenu(`GAME OVER<br>${text} ${this.match.scores.join(" - ")}`, [
+      ["Rematch", rematch],
+      ...(manager.online()
+        ? [
+            ["New Opponent", () => manager.hostLobby()],
+            ["Leave", () => manager.leave()],
+          ]
+        : [["Main Menu", () => manager.leave()]]),
+    ]);
+  }
+
+  // shows the menu for where the round is, e.g. after loading a game
+  refreshMenu() {
+    if (this.match.roundOutcome) {
+      this.handleMatchEvent({
+        type: "roundEnd",
+        round: this.match.round,
+        outcome: this.match.roundOutcome,
+        scores: [...this.match.scores],
+      });
+    } else {
+      this.hideMenu();
+    }
+  }
+
+  hideMenu() {
+    this.overlay.div.replaceChildren();
+  }
+
+  handleMatchEvent(event) {
+    switch (event.type) {
+      case "roundEnd":
+        const replay = createReplay(this.game, event.round);
+        this.showMenu(
+          `Round ${event.round}: ${describeOutcome(event.outcome)}`,
+          [
+            [
+              "Next Round",
+              () =>
+                this.manager
+                  .localClient()
+                  .sendEventToServer({ type: "nextRound" }),
+            ],
+            ["Watch Replay", () => startReplay(replay)],
+            ["Save Replay", () => downloadReplay(replay)],
+          ]
+        );
+        break;
+      case "roundStart":
+      case "roundReopened":
+        this.hideMenu();
+        break;
+      default:
+        break;
+    }
+  }
+
+  showReplay(player) {
+    this.hideMenu();
+    this.root.classList.add("replaying");
+    this.replayControls.scrub.max = player.length();
+  }
+
+  hideReplay() {
+    this.root.classList.remove("replaying");
+  }
+
+  updateReplay(player) {
+    const { game, replay } = player;
+    const ended = player.atEnd() ? `, ${describeOutcome(replay.outcome)}` : "";
+    this.actingPlayerNotification.innerText = `Replay of round ${replay.round}${ended}`;
+    this.healthTrackers.forEach(
+      (h, i) => (h.div.innerHTML = describeVitals(game, i))
+    );
+    this.turnLog.div.innerHTML = game
+      .lastEvents()
+      .map((e) => describeEvent(e))
+      .join("<br>");
+    const controls = this.replayControls;
+    controls.play.textContent = player.playing ? "Pause" : "Play";
+    controls.scrub.value = player.turn();
+    controls.turn.div.innerHTML = `Turn ${player.turn()}/${player.length()}`;
+    controls.speeds.forEach(({ button }, speed) =>
+      button.classList.toggle("selected", debugObject.timeSpeed === speed)
+    );
+  }
+
+  makeReplayBar() {
+    const bar = makeDiv(this.root, ["replayBar"]).div;
+    const control = (text, onClick) =>
+      makeButton(bar, ["historyButton"], text, () => {
+        if (replayPlayer) {
+          onClick(replayPlayer);
+        }
+      }).button;
+    control("|<", (player) => player.seek(0));
+    control("<", (player) => {
+      player.pause();
+      player.stepBack();
+    });
+    const play = control("Play", (player) => player.toggle());
+    control(">", (player) => {
+      player.pause();
+      player.step();
+    });
+    control(">|", (player) => player.seek(player.length()));
+
+    const scrub = document.createElement("input");
+    scrub.type = "range";
+    scrub.min = 0;
+    scrub.step = 1;
+    scrub.classList.add("replayScrub");
+    scrub.oninput = () => {
+      if (replayPlayer) {
+        replayPlayer.pause();
+        replayPlayer.seek(Number(scrub.value));
+      }
+    };
+    bar.appendChild(scrub);
+    const turn = makeDiv(bar, ["turnCounter"]);
+
+    // the replay speed is the game's time speed
+    const speeds = new Map();
+    [0.5, 1, 2, 3].forEach((speed) =>
+      speeds.set(
+        speed,
+        makeButton(bar, ["historyButton"], `${speed}x`, () =>
+          setTimeSpeed(speed)
+        )
+      )
+    );
+    makeButton(bar, ["historyButton"], "Exit", () => stopReplay());
+    return { play: play, scrub: scrub, turn: turn, speeds: speeds };
+  }
+
+  constructor(manager, root) {
+    this.manager = manager;
+    this.match = manager.clients[0].match;
+    this.game = this.match.game;
     this.root = root;
     this.overlay = makeOverlay(root);
+    this.match.subscribe((event) => this.handleMatchEvent(event));
+    manager.subscribe(() => this.showState());
     this.healthTrackers = [];
     this.actions = [];
     const topBar = document.createElement("div");
@@ -1210,6 +2934,9 @@ class GameUI {
       this.actionHistory[1].push(makeHistoricAction(rightHistoryActionsBar));
     }
 
+    this.turnLog = makeTurnLog(this.actionHistoryBar);
+    this.errorMessage = makeErrorMessage(this.actionHistoryBar);
+
     const bottomBar = document.createElement("div");
     bottomBar.setAttribute("class", "bottomBar");
     this.root.appendChild(bottomBar);
@@ -1223,32 +2950,70 @@ class GameUI {
     topBar.appendChild(this.actingPlayerNotification);
     this.healthTrackers.push(makeHealthBar(topBar));
 
-    this.submitButton = makeSubmitButton(bottomBar, game);
+    makeHistoryButton(bottomBar, "|<", () => ({ type: "jumpToTurn", turn: 0 }));
+    makeHistoryButton(bottomBar, "<", () => ({ type: "undoMove" }));
+    this.submitButton = makeSubmitButton(bottomBar, this.game);
+    makeHistoryButton(bottomBar, ">", () => ({ type: "redoMove" }));
+    makeHistoryButton(bottomBar, ">|", () => ({
+      type: "jumpToTurn",
+      turn: this.game.lastTurn(),
+    }));
+    this.turnCounter = makeDiv(bottomBar, ["turnCounter"]);
+    makeButton(bottomBar, ["historyButton"], "Menu", () => manager.leave());
+    makeButton(bottomBar, ["historyButton"], "Share", shareGame);
+    makeButton(bottomBar, ["historyButton"], "Notation", copyNotation);
+    makeButton(bottomBar, ["historyButton"], "Analysis", () => {
+      this.showAnalysis = !this.showAnalysis;
+    });
+    // ?analysis opens the payoff matrix from the start
+    this.showAnalysis = urlParams.has("analysis");
+    this.analysisKey = null;
+    this.analysisPanel = makeAnalysisPanel(this.root);
+    // dev builds and ?dev show when the players' matches drift apart
+    this.showDevOverlay = import.meta.env.DEV || urlParams.has("dev");
+    this.desyncKey = null;
+    this.desyncPanel = makeDesyncPanel(this.root);
+    this.desyncText = makeDiv(this.desyncPanel.div, []);
+    makeButton(this.desyncPanel.div, ["historyButton"], "Dismiss", () => {
+      manager.clients.forEach((c) => (c.desync = null));
+    });
+    this.replayControls = this.makeReplayBar();
 
-    this.game.state.players.forEach((_, i) => {
-      const menu = actionMenu(actionDiv).div;
-      this.actions.push(new Map());
-      this.actions[i].set(
-        "SwitchAttack",
-        makeActionButton(menu, i, "Switch Attack", "SwitchAttack")
-      );
-      this.actions[i].set(
-        "Retreat",
-        makeActionButton(menu, i, "Retreat", "Retreat")
-      );
-      this.actions[i].set(
-        "Advance",
-        makeActionButton(menu, i, "Advance", "Advance")
-      );
-      this.actions[i].set(
-        "Charge",
-        makeActionButton(menu, i, "Charge", "Charge")
-      );
+    this.actionDiv = actionDiv;
+    this.makeActions();
+  }
+
+  // every fighter gets buttons for their own moves
+  makeActions() {
+    this.actionsRuleset = this.game.ruleset;
+    this.actionDiv.replaceChildren();
+    this.actions = this.game.state.players.map((_, i) => {
+      const menu = actionMenu(this.actionDiv).div;
+      const actions = new Map();
+      playerRules(this.game.ruleset, i).moves.forEach(({ name, label }) => {
+        actions.set(name, makeActionButton(menu, i, label, name));
+      });
+      return actions;
     });
   }
 }
 
-const gameUI = new GameUI(game, ui);
+const gameUI = new GameUI(manager, ui);
+
+// ?ai=<difficulty> skips the start menu, ?hostId=<id> joins that lobby, in
+// another tab with &via=tab
+const aiDifficulty = urlParams.get("ai");
+const hostId = getHostId();
+if (aiDifficulty in difficulties) {
+  manager.playLocal(null, aiDifficulty);
+} else if (hostId) {
+  manager.joinLobby(hostId, urlParams.get("via") ?? "webrtc");
+} else {
+  gameUI.showState();
+}
+
+// a BroadcastChannel closes quietly with its tab, so say goodbye first
+window.addEventListener("pagehide", () => manager.transport?.close());
 
 /**
  * Animation
@@ -1263,8 +3028,19 @@ const tick = () => {
 
   // update controls
   controls.update();
-  const moved = clients[0].hasUpdated();
-  gameUI.update(clients, clients[0].game);
+  let moved;
+  if (replayPlayer) {
+    replayPlayer.update(timeTracker.deltaTime);
+    // stepping, scrubbing or playing all change the turn shown
+    moved = gameGraphics.animatedTurns !== replayPlayer.turn();
+    gameUI.updateReplay(replayPlayer);
+  } else {
+    moved = manager.clients[0].hasUpdated();
+    gameUI.update(manager.clients, game);
+    if (moved) {
+      autosave();
+    }
+  }
 
   // Render scene
   gameGraphics.animateGame(
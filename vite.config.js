@@ -3,6 +3,7 @@ import glsl from 'vite-plugin-glsl'
 export default {
     root: 'src/',
     publicDir: '../static/',
+    envDir: '../', // .env files live next to package.json
     base: './',
     server:
     {
@@ -15,6 +16,10 @@ export default {
         emptyOutDir: true, // Empty the folder first
         sourcemap: true // Add sourcemap
     },
+    test:
+    {
+        dir: '../' // Tests live next to the code in src/ and server/
+    },
     plugins:
     [
         glsl()